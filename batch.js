@@ -0,0 +1,234 @@
+/**
+ * @file Calibrating several images taken with the same camera, like a turntable or a sequence from a tripod.
+ *
+ * Each image has a calibration object with its own points, view, undo history and results.
+ * The calibration of the image on the canvas lives in the global variables the rest of the app uses,
+ * and is stored back into its object when another image is shown. The settings, including the sensor size,
+ * and the boxes are shared by all images. The focal length can also be shared, in which case it is solved
+ * in the first image and only the pose is solved in the others.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+class Calibration {
+    /**
+     * Starts with a copy of the points and view of the current image, which are close for images from a tripod.
+     * @param {File} file
+     */
+    constructor(file) {
+        this.file = file
+        this.url = URL.createObjectURL(file)
+        // Read when the image is opened
+        this.exif = null
+
+        this.origin = origin.slice()
+        this.horizon = horizon.map(point => point.slice())
+        this.manualPrincipalPoint = manualPrincipalPoint.slice()
+        this.corners = corners.map(corner => new Corner(...corner.points.map(point => point.slice())))
+        this.lineSegments = lineSegments.map(segment => new LineSegment(segment.axisIndex, ...segment.points.map(point => point.slice())))
+        this.referenceSegment = referenceSegment.map(point => point.slice())
+        this.straightLines = straightLines.map(line => line.map(point => point.slice()))
+        this.measurements = measurements.map(measurement => ({plane: measurement.plane, points: measurement.points.map(point => point.slice())}))
+        this.originLines = originLines.map(line => line.map(point => point.slice()))
+        this.alignmentLine = alignmentLine.map(point => point.slice())
+
+        this.zoomRatio = zoomRatio
+        this.imageOffset = imageOffset.slice()
+        this.selectedPoint = null
+        this.undoStack = []
+        this.redoStack = []
+        this.results = calcResults
+    }
+
+    /**
+     * Copies the global variables of the current image into the calibration.
+     */
+    store() {
+        this.origin = origin
+        this.horizon = horizon
+        this.manualPrincipalPoint = manualPrincipalPoint
+        this.corners = corners
+        this.lineSegments = lineSegments
+        this.referenceSegment = referenceSegment
+        this.straightLines = straightLines
+        this.measurements = measurements
+        this.originLines = originLines
+        this.alignmentLine = alignmentLine
+
+        this.zoomRatio = zoomRatio
+        this.imageOffset = imageOffset
+        this.selectedPoint = selectedPoint
+        this.undoStack = undoStack
+        this.redoStack = redoStack
+        this.results = calcResults
+    }
+
+    /**
+     * Sets the global variables to the calibration, without loading its image.
+     */
+    apply() {
+        imageFile = this.file
+
+        origin = this.origin
+        horizon = this.horizon
+        manualPrincipalPoint = this.manualPrincipalPoint
+        corners = this.corners
+        lineSegments = this.lineSegments
+        referenceSegment = this.referenceSegment
+        straightLines = this.straightLines
+        measurements = this.measurements
+        originLines = this.originLines
+        alignmentLine = this.alignmentLine
+
+        zoomRatio = this.zoomRatio
+        imageOffset = this.imageOffset
+        selectedPoint = this.selectedPoint
+        undoStack = this.undoStack
+        redoStack = this.redoStack
+        calcResults = this.results
+    }
+}
+
+
+let calibrations = []
+let currentCalibration = null
+
+/**
+ * Returns the focal length solved in the first image, if the focal length is shared and another image is being solved.
+ * Otherwise null, and the image is solved on its own.
+ */
+function getSharedFocalLength() {
+    let lensCalibration = calibrations[0]
+    if (!lensCalibration || currentCalibration === lensCalibration) return null
+    if (!document.getElementById("share-focal-length").checked) return null
+
+    return lensCalibration.results.focalLength || null
+}
+
+/**
+ * Replaces all images with a new one, keeping the points.
+ * @param {File} file
+ */
+function resetCalibrations(file) {
+    calibrations.forEach(calibration => URL.revokeObjectURL(calibration.url))
+
+    currentCalibration = new Calibration(file)
+    calibrations = [currentCalibration]
+    currentCalibration.apply()
+    updateThumbnails()
+}
+
+/**
+ * Opens one or more images, replacing the ones that are open.
+ * @param {FileList} files
+ */
+function openImages(files) {
+    files = Array.from(files)
+    if (files.length === 0) return
+
+    uploadImage(files[0])
+    addImages(files.slice(1))
+}
+
+/**
+ * Adds images that start with the points of the current image.
+ * @param {FileList} files
+ */
+function addImages(files) {
+    if (!currentCalibration) return
+
+    Array.from(files).forEach(file => {
+        let calibration = new Calibration(file)
+        calibrations.push(calibration)
+        loadExif(calibration)
+    })
+    updateThumbnails()
+}
+
+/**
+ * Shows another image, with its own points and results.
+ * @param {Calibration} calibration
+ */
+function showCalibration(calibration) {
+    if (calibration === currentCalibration) return
+
+    currentCalibration.store()
+    currentCalibration = calibration
+    calibration.apply()
+
+    img.onload = () => refresh()
+    img.src = calibration.url
+    updateThumbnails()
+}
+
+/**
+ * Removes the image on the canvas, unless it is the only one.
+ */
+function removeCurrentImage() {
+    if (calibrations.length < 2) return
+
+    let index = calibrations.indexOf(currentCalibration)
+    let removed = currentCalibration
+    showCalibration(calibrations[index === 0 ? 1 : index - 1])
+
+    calibrations.splice(index, 1)
+    URL.revokeObjectURL(removed.url)
+    updateThumbnails()
+    refresh()
+}
+
+/**
+ * Recreates the strip of images below the canvas, which is only shown when there is more than one.
+ */
+function updateThumbnails() {
+    let strip = document.getElementById("thumbnails")
+    strip.innerHTML = ""
+    strip.hidden = calibrations.length < 2
+
+    calibrations.forEach(calibration => {
+        let thumbnail = document.createElement("img")
+        thumbnail.src = calibration.url
+        thumbnail.title = calibration.file.name
+        thumbnail.className = calibration === currentCalibration ? "thumbnail current" : "thumbnail"
+        thumbnail.onclick = event => {
+            event.stopPropagation()
+            showCalibration(calibration)
+        }
+        strip.append(thumbnail)
+    })
+}
+
+/**
+ * Solves every image and downloads all the cameras in one glTF file, named after the images.
+ * The first image is solved first, since the others may use its focal length.
+ */
+function exportAllCameras() {
+    if (!currentCalibration) return
+
+    currentCalibration.store()
+    let shown = currentCalibration
+    let cameras = []
+    let unsolved = []
+
+    calibrations.forEach(calibration => {
+        currentCalibration = calibration
+        calibration.apply()
+        calibration.results = solve()
+
+        if (calibration.results.worldTransform) {
+            let camera = getExportCamera()
+            camera.name = calibration.file.name.replace(/\.[^.]*$/, "")
+            cameras.push(camera)
+        } else {
+            unsolved.push(calibration.file.name)
+        }
+    })
+
+    currentCalibration = shown
+    shown.apply()
+    refresh()
+
+    if (unsolved.length > 0) alert(`These images could not be solved and are left out: ${unsolved.join(", ")}`)
+    if (cameras.length > 0) downloadFile("cameras.gltf", camerasToGLTF(cameras), "model/gltf+json")
+}
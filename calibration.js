@@ -0,0 +1,447 @@
+/**
+ * @file Solving the camera from control points and settings, without the page.
+ *
+ * An ES module that works both in the browser and in Node:
+ *     import {solveCalibration} from "./calibration.js"
+ * The page collects its points and settings with getCalibrationInput in script.js.
+ * Points are UV's in the photo, see the top of script.js.
+ *
+ * The input has these properties, of which the ones marked optional can be left out:
+ * - mode: The number of vanishing points, 1, 2 or 3.
+ * - corners: Arrays of [center, point1, point2, point3], where the line from the center to each
+ *   of the other points goes towards a vanishing point. point3 is only used with 3 vanishing points.
+ * - lineSegments: (optional) More lines towards the vanishing points, as {axisIndex, points: [start, end]}.
+ * - horizon: Two points on the horizon, used instead of the second vanishing point with 1 vanishing point.
+ * - straightLines: (optional) Arrays of points along edges that should be straight, to find the lens distortion.
+ * - distortion: (optional) A Distortion to use instead of finding it from the straight lines.
+ * - principalPoint: (optional) The principal point, when it is set by hand. Otherwise it is in the center
+ *   of the image, or found from the vanishing points with 3 vanishing points.
+ * - axes: The world axes of the first two vanishing points, like [" x", "-y"].
+ * - sensorSize: The width and height of the sensor in mm, with the aspect ratio of the image.
+ * - focalLength: (optional) The focal length in mm. Needed with 1 vanishing point, and otherwise used instead of solving it.
+ * - origin: The point in the photo that is the origin of the world.
+ * - originLines: (optional) Two lines, as arrays of two points, whose intersection is used as the origin instead.
+ * - distance: The distance from the camera to the origin, unless reference is given.
+ * - reference: (optional) {axis, length, segment}, a segment along the world axis "x", "y" or "z" with a known length.
+ * - alignment: (optional) {axis, line}, a line on the ground that the world axis "x" or "y" is turned to follow.
+ * - frameAngle: (optional) An angle in degrees to turn the world axes around Z, after the alignment.
+ * - convention: (optional) The world convention of the results, a key of worldConventions. "blender" by default.
+ * - rotationOrder: (optional) The order of the Euler angles, see rotation.js. "XYZ" by default.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Matrix, Vector} from "./linear-algebra.js"
+import {Distortion} from "./lens-distortion.js"
+import {eulerFromMatrix, quaternionFromMatrix, axisAngleFromMatrix} from "./rotation.js"
+import {worldConventions, convertCameraMatrix} from "./conventions.js"
+
+/**
+ * Returns all lines pointing towards the vanishing point with the given index,
+ * as arrays of two undistorted points. The lines of the corners come first.
+ * @param {object} input
+ * @param {object} results
+ * @param {number} index
+ */
+function getLineSegments(input, results, index) {
+    let segments = input.corners.map(corner => [corner[0], corner[index + 1]])
+        .concat((input.lineSegments || []).filter(segment => segment.axisIndex === index).map(segment => segment.points))
+
+    return segments.map(segment => segment.map(point => results.distortion.undistort(point)))
+}
+
+/**
+ * Finds the point closest to all lines with the given index, using least squares.
+ * With only the two corners, this is the intersection of their lines.
+ * @param {object} input
+ * @param {object} results
+ * @param {number} index
+ */
+function getVanishingPoint(input, results, index) {
+    let normals = []
+    let distances = []
+
+    getLineSegments(input, results, index).forEach(([start, end]) => {
+        let direction = Vector.subtraction(end, start)
+        let normal = Vector.normalize([-direction[1], direction[0]])
+
+        normals.push(normal)
+        distances.push(Vector.dotProduct(normal, start))
+    })
+
+    return Matrix.leastSquares(new Matrix(normals), distances)
+}
+
+/**
+ * Returns the angle in degrees between a line and the direction from its midpoint to the vanishing point.
+ * @param {number[][]} segment Array of two points.
+ * @param {number[]} vanishingPoint
+ */
+export function getResidual(segment, vanishingPoint) {
+    let [start, end] = segment
+    let midpoint = Vector.scalarMultiplication(Vector.addition(start, end), 0.5)
+
+    let direction = Vector.subtraction(end, start)
+    let toVanishingPoint = Vector.subtraction(vanishingPoint, midpoint)
+
+    let cross = direction[0] * toVanishingPoint[1] - direction[1] * toVanishingPoint[0]
+    let angle = Math.abs(Math.atan2(cross, Vector.dotProduct(direction, toVanishingPoint)))
+
+    // The line has no direction
+    return Math.min(angle, Math.PI - angle) / Math.PI * 180
+}
+
+// In UV units. A vanishing point further away than this is treated as being at infinity.
+const infiniteVanishingPointDistance = 1e6
+
+/**
+ * Returns the vanishing point in the direction of the horizon line that is
+ * orthogonal to the first vanishing point, given the focal length.
+ * When the first vanishing point is at the principal point, or straight above or below it as seen along the horizon,
+ * the horizon itself is orthogonal to it, and the vanishing point is at infinity. Then the direction of the horizon
+ * is stored as results.horizonDirection, and a point far along it is returned for drawing.
+ * @param {object} input
+ * @param {object} results
+ * @param {number[]} vp1 The first vanishing point.
+ */
+function getHorizonVanishingPoint(input, results, vp1) {
+    let distance = results.focalLength / results.sensorLength * 2
+    let [start, end] = input.horizon.map(point => results.distortion.undistort(point))
+    let direction = Vector.normalize(Vector.subtraction(end, start))
+
+    // (vp1 + t * direction - pp) . (vp1 - pp) = -distance^2
+    let relative = Vector.subtraction(vp1, results.principalPoint)
+    let t = -(Vector.dotProduct(relative, relative) + distance * distance) / Vector.dotProduct(relative, direction)
+
+    if (!(Math.abs(t) < infiniteVanishingPointDistance)) {
+        results.horizonDirection = direction
+        t = infiniteVanishingPointDistance
+    }
+
+    return Vector.addition(vp1, Vector.scalarMultiplication(direction, t))
+}
+
+function getVanishingPoints(input, results) {
+    let vp1 = getVanishingPoint(input, results, 0)
+
+    if (results.mode === 1) {
+        return [vp1, getHorizonVanishingPoint(input, results, vp1)]
+    }
+    if (results.mode === 3) {
+        return [vp1, getVanishingPoint(input, results, 1), getVanishingPoint(input, results, 2)]
+    }
+    return [vp1, getVanishingPoint(input, results, 1)]
+}
+
+/**
+ * Returns the principal point, which is the orthocenter of the three vanishing points in 3 vanishing point mode.
+ * In the other modes it is either set manually or assumed to be at the center of the image.
+ * @param {object} input
+ * @param {object} results
+ */
+function getPrincipalPoint(input, results) {
+    if (results.mode !== 3) {
+        return input.principalPoint ? results.distortion.undistort(input.principalPoint) : [0, 0]
+    }
+
+    let [a, b, c] = results.vanishingPoints
+    let bc = Vector.subtraction(b, c)
+    let ca = Vector.subtraction(c, a)
+
+    // (p - a) . (b - c) = 0 and (p - b) . (c - a) = 0
+    let m = new Matrix([
+        [bc[0], bc[1]],
+        [ca[0], ca[1]]
+    ])
+    let v = [
+        a[0] * bc[0] + a[1] * bc[1],
+        b[0] * ca[0] + b[1] * ca[1]
+    ]
+
+    return m.inverse.transformVector(v)
+}
+
+function getFocalLength(results) {
+    let pp = results.principalPoint
+    let v = results.vanishingPoints.map(vp => Vector.subtraction(vp, pp))
+
+    return Math.sqrt(-v[0][0] * v[1][0] - v[0][1] * v[1][1]) / 2 * results.sensorLength
+}
+
+/**
+ * Returns the transform for the world with the camera at [0, 0, 0] facing [0, 0, -1] with [0, 1, 0] up.
+ * @param {object} input
+ * @param {object} results
+ */
+function getWorldTransform(input, results) {
+    let [axis1, axis2] = input.axes
+
+    let distance = results.focalLength / results.sensorLength * 2
+    let vp1 = Vector.subtraction(results.vanishingPoints[0], results.principalPoint)
+    let vp2 = Vector.subtraction(results.vanishingPoints[1], results.principalPoint)
+
+    let vectors = [
+        [],
+        [],
+        []
+    ]
+
+    let vector1 = Vector.normalize([vp1[0], vp1[1], -distance])
+    // A vanishing point at infinity is in the direction of the lines towards it, parallel to the photo
+    let vector2 = results.horizonDirection ? results.horizonDirection.concat(0) : Vector.normalize([vp2[0], vp2[1], -distance])
+
+    // With a focal length from another image, the directions aren't always perpendicular
+    vector2 = Vector.normalize(Vector.subtraction(vector2, Vector.scalarMultiplication(vector1, Vector.dotProduct(vector1, vector2))))
+
+    vector1 = Vector.scalarMultiplication(vector1, Number(axis1[0] + "1"))
+    vector2 = Vector.scalarMultiplication(vector2, Number(axis2[0] + "1"))
+
+    vectors["xyz".indexOf(axis1[1])] = vector1
+    vectors["xyz".indexOf(axis2[1])] = vector2
+
+    for (let i = 0; i < 3; i++) {
+        if (vectors[i].length === 0) {
+            vectors[i] = Vector.crossProduct(vectors[(i + 1) % 3], vectors[(i + 2) % 3])
+            break
+        }
+    }
+
+    return new Matrix(vectors).transpose
+}
+
+/**
+ * Returns the origin in the photo, either the origin point or where the origin lines cross.
+ * The lines are straightened with the lens distortion before they are intersected.
+ * @param {object} input
+ * @param {Distortion} distortion
+ */
+function getOrigin(input, distortion) {
+    if (!input.originLines) return input.origin
+
+    let [line1, line2] = input.originLines.map(line => {
+        let [start, end] = line.map(point => distortion.undistort(point).concat(1))
+        return Vector.crossProduct(start, end)
+    })
+
+    let intersection = Vector.crossProduct(line1, line2)
+    // Parallel lines meet at infinity, so keep the origin point instead
+    if (Math.abs(intersection[2]) < 1e-12) return input.origin
+
+    return distortion.distort([intersection[0] / intersection[2], intersection[1] / intersection[2]])
+}
+
+/**
+ * Projects a point to the UV plane, without distortion.
+ * @param {object} results
+ * @param {number[]} vector The point relative to the camera, which looks down -Z with Y up.
+ */
+export function projectToImage(results, vector) {
+    let c = -results.focalLength / results.sensorLength * 2 / vector[2]
+    let v = Vector.scalarMultiplication(vector, c)
+    return Vector.addition([v[0], v[1]], results.principalPoint)
+}
+
+/**
+ * Returns the point relative to the camera that projects to a UV without distortion, at a distance along -Z.
+ * @param {object} results
+ * @param {number[]} uv
+ * @param {number} distance
+ */
+export function projectFromImage(results, uv, distance) {
+    let c = results.sensorLength / results.focalLength / 2 * distance
+    let v = Vector.scalarMultiplication(Vector.subtraction(uv, results.principalPoint), c)
+    return [v[0], v[1], -distance]
+}
+
+/**
+ * Returns the length of the reference segment if the origin was 1 unit from the camera.
+ * Both ends are placed on the axis going through the origin, where the rays through them come closest to it.
+ * @param {object} input
+ * @param {object} results
+ * @param {number} axisIndex The axis that the segment is parallel to. (0, 1, 2) for (x, y, z)
+ */
+function getReferenceLength(input, results, axisIndex) {
+    let originPoint = Vector.normalize(projectFromImage(results, results.distortion.undistort(results.origin), 1))
+    let axis = results.worldTransform.transpose.matrix[axisIndex]
+
+    let positions = input.reference.segment.map(point => {
+        let ray = Vector.normalize(projectFromImage(results, results.distortion.undistort(point), 1))
+
+        // originPoint + t * axis = s * ray
+        let m = new Matrix([0, 1, 2].map(i => [axis[i], -ray[i]]))
+        return Matrix.leastSquares(m, Vector.scalarMultiplication(originPoint, -1))[0]
+    })
+
+    return Math.abs(positions[1] - positions[0])
+}
+
+/**
+ * Returns the distance from the camera to the origin, either as given or from the reference segment.
+ * @param {object} input
+ * @param {object} results
+ */
+function getDistanceToOrigin(input, results) {
+    if (!input.reference) return input.distance
+
+    let axisIndex = "xyz".indexOf(input.reference.axis)
+    return input.reference.length / getReferenceLength(input, results, axisIndex)
+}
+
+function getLocation(results) {
+    let direction = Vector.normalize(projectFromImage(results, results.distortion.undistort(results.origin), 1))
+    let point = Vector.scalarMultiplication(direction, results.distance)
+
+    return Vector.scalarMultiplication(results.worldTransform.inverse.transformVector(point), -1)
+}
+
+/**
+ * Returns the 4x4 matrix that transforms from camera space to world space.
+ * @param {object} results
+ */
+function getCameraMatrix(results) {
+    let m = results.worldTransform.inverse.transpose
+    m.matrix.push(results.location)
+    m = m.transpose
+    m.matrix.push([0, 0, 0, 1])
+    return m
+}
+
+/**
+ * Finds where the ray from the camera through a point in the photo hits a world plane through the origin.
+ * @param {object} results Solved results, with a world transform.
+ * @param {number[]} point UV's in the photo.
+ * @param {string} plane "xy", "xz" or "yz"
+ * @returns {number[]|null} World coordinates, or null if the ray doesn't hit the plane in front of the camera.
+ */
+export function intersectPlane(results, point, plane) {
+    let normalAxis = "xyz".split("").findIndex(axis => !plane.includes(axis))
+
+    let ray = projectFromImage(results, results.distortion.undistort(point), 1)
+    let direction = results.worldTransform.inverse.transformVector(ray)
+
+    let t = -results.location[normalAxis] / direction[normalAxis]
+    if (!(t > 0) || !isFinite(t)) return null
+
+    return Vector.addition(results.location, Vector.scalarMultiplication(direction, t))
+}
+
+/**
+ * Returns the angle in radians to turn the world axes around the Z axis, from the alignment and the frame angle.
+ * Needs the results before the turn, since the alignment line is followed onto the ground with them.
+ * @param {object} input
+ * @param {object} results
+ */
+function getFrameRotation(input, results) {
+    let angle = (input.frameAngle || 0) / 180 * Math.PI
+    if (!input.alignment) return angle
+
+    let points = input.alignment.line.map(point => intersectPlane(results, point, "xy"))
+    if (points.includes(null)) return angle
+
+    let direction = Vector.subtraction(points[1], points[0])
+    let lineAngle = Math.atan2(direction[1], direction[0])
+    return lineAngle - (input.alignment.axis === "y" ? Math.PI / 2 : 0) + angle
+}
+
+/**
+ * Solves the camera.
+ * @param {object} input The points and settings, see the top of this file.
+ * @returns {object} The mode, distortion, sensorLength (the longest side), focalLength, fov (along the longest side),
+ *     principalPoint, vanishingPoints, origin and residuals (the angle in degrees between each line and its vanishing point).
+ *     With 1 vanishing point, also horizonDirection if the second vanishing point is at infinity.
+ *     If the camera could be solved, also worldTransform (from world directions to camera directions), distance,
+ *     location and cameraMatrix (from camera space to world space) in Blender's convention, and targetLocation,
+ *     eulerRotation, quaternion ([w, x, y, z]) and axisAngle ({axis, angle}) in the chosen convention.
+ *     Angles are in degrees.
+ */
+export function solveCalibration(input) {
+    let [axis1, axis2] = input.axes
+
+    let results = {}
+    results.mode = input.mode
+    results.distortion = input.distortion || Distortion.estimate(input.straightLines || [])
+    results.sensorLength = Math.max(...input.sensorSize)
+
+    if (results.mode === 1) {
+        // The focal length is known, and is needed to find the second vanishing point
+        results.focalLength = input.focalLength
+        results.principalPoint = getPrincipalPoint(input, results)
+        results.vanishingPoints = getVanishingPoints(input, results)
+    } else {
+        results.vanishingPoints = getVanishingPoints(input, results)
+        results.principalPoint = getPrincipalPoint(input, results)
+        results.focalLength = input.focalLength || getFocalLength(results)
+    }
+
+    // Only the vanishing points that come from lines, one per mode
+    results.residuals = results.vanishingPoints.slice(0, results.mode).map((vp, i) => {
+        return getLineSegments(input, results, i).map(segment => getResidual(segment, vp))
+    })
+    results.fov = 2 * Math.atan(results.sensorLength / 2 / results.focalLength) / Math.PI * 180
+    results.origin = getOrigin(input, results.distortion)
+
+    if (results.focalLength && axis1[1] !== axis2[1]) {
+        results.worldTransform = getWorldTransform(input, results)
+        results.distance = getDistanceToOrigin(input, results)
+        results.location = getLocation(results)
+
+        // Turn the axes after the scale has been found along them
+        let frameRotation = getFrameRotation(input, results)
+        if (frameRotation) {
+            results.worldTransform = Matrix.multiplication(results.worldTransform, Matrix.rotation3D(2, frameRotation))
+            results.location = getLocation(results)
+        }
+        results.cameraMatrix = getCameraMatrix(results)
+
+        // The results that are shown, in the chosen convention instead of Blender's
+        let convention = worldConventions[input.convention || "blender"]
+        let targetMatrix = convertCameraMatrix(results.cameraMatrix, convention)
+        let axisAngle = axisAngleFromMatrix(targetMatrix)
+        results.targetLocation = [0, 1, 2].map(i => targetMatrix.matrix[i][3])
+        results.eulerRotation = eulerFromMatrix(targetMatrix, input.rotationOrder || "XYZ").map((x, i) => x / Math.PI * 180 * convention.eulerSigns[i])
+        results.quaternion = quaternionFromMatrix(targetMatrix)
+        results.axisAngle = {axis: axisAngle.axis, angle: axisAngle.angle / Math.PI * 180}
+    }
+
+    return results
+}
+
+/**
+ * Returns the lines to paste in Blender's Python console to set up the active camera like the solved one.
+ * Cameras in Blender can't distort, so the lens distortion is set on the tracking camera of the movie clips,
+ * which the Movie Distortion node and the Clip Editor use. The photo has to be opened as a movie clip for that.
+ * Blender's focal length of a clip is relative to its width, so the sensor is scaled for portrait photos,
+ * before the focal length is set.
+ * @param {object} results Results of solveCalibration, with a solved camera.
+ * @returns {string}
+ */
+export function getBlenderCommand(results) {
+    let matrix = JSON.stringify(results.cameraMatrix.matrix).replace(/\[/g, "(").replace(/\]/g, ")")
+
+    let distortionLines = ""
+    if (!results.distortion.isZero) {
+        let distortion = results.distortion.normalized(results.focalLength / results.sensorLength * 2)
+        let camera = "clip.tracking.camera"
+        distortionLines = (
+`# Lens distortion, for the Movie Distortion node. Open the photo as a movie clip first.
+for clip in D.movieclips: ${[
+            `${camera}.distortion_model = "POLYNOMIAL"`,
+            `${camera}.k1 = ${distortion.k1}`,
+            `${camera}.k2 = ${distortion.k2}`,
+            `${camera}.k3 = 0`,
+            `${camera}.sensor_width = ${results.sensorLength} * clip.size[0] / max(clip.size)`,
+            `${camera}.focal_length = ${results.focalLength}`
+        ].join("; ")}
+`)
+    }
+
+    return (
+`C.scene.camera.matrix_world = Matrix(${matrix})
+C.scene.camera.data.lens = ${results.focalLength}
+C.scene.camera.data.sensor_width = ${results.sensorLength}
+C.scene.camera.data.shift_x = ${-results.principalPoint[0] / 2}
+C.scene.camera.data.shift_y = ${-results.principalPoint[1] / 2}
+${distortionLines}
+`)
+}
@@ -0,0 +1,131 @@
+/**
+ * @file World coordinate conventions of 3D software, which the results are shown in.
+ *
+ * The solver works in Blender's convention: right-handed with Z up, in metres, and cameras look down -Z with Y up.
+ * A convention changes the basis of the world and of the camera, and scales the units. The axes of each preset
+ * are the ones the program itself gets when it imports the exported files, which are always written with the
+ * axes of their format, so the results and the exports agree. FBX and COLLADA can also declare their units,
+ * so they are written in the units of the convention. glTF is always in metres.
+ *
+ * Euler angles are found with right-handed rotations, and then multiplied by the eulerSigns of the convention,
+ * for programs whose positive angles turn the other way about some axes.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Matrix, Vector} from "./linear-algebra.js"
+
+export const worldConventions = {
+    blender: {
+        // Rows: the convention's world axes in Blender's world
+        axes: [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ],
+        // Columns: the convention's camera axes in Blender's camera space
+        camera: [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ],
+        unitScale: 1,
+        unitName: "meter",
+        unitSymbol: "m",
+        eulerSigns: [1, 1, 1],
+        rotationOrder: "XYZ"
+    },
+    // (x, y, z) -> (x, z, -y), like glTF
+    yUp: {
+        axes: [
+            [1, 0,  0],
+            [0, 0,  1],
+            [0, -1, 0]
+        ],
+        camera: [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ],
+        unitScale: 1,
+        unitName: "meter",
+        unitSymbol: "m",
+        eulerSigns: [1, 1, 1],
+        rotationOrder: "XYZ"
+    },
+    // (x, y, z) -> (-x, z, -y), and cameras look down +Z
+    unity: {
+        axes: [
+            [-1, 0, 0],
+            [0,  0, 1],
+            [0, -1, 0]
+        ],
+        camera: [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, -1]
+        ],
+        unitScale: 1,
+        unitName: "meter",
+        unitSymbol: "m",
+        eulerSigns: [1, 1, 1],
+        rotationOrder: "ZXY"
+    },
+    // (x, y, z) -> (x, -y, z) in centimetres, and cameras look down +X with Z up
+    unreal: {
+        axes: [
+            [1, 0,  0],
+            [0, -1, 0],
+            [0, 0,  1]
+        ],
+        camera: [
+            [0,  1, 0],
+            [0,  0, 1],
+            [-1, 0, 0]
+        ],
+        unitScale: 100,
+        unitName: "centimeter",
+        unitSymbol: "cm",
+        // Rotators are [roll, pitch, yaw], and positive roll and pitch turn the other way in Unreal
+        eulerSigns: [-1, -1, 1],
+        rotationOrder: "XYZ"
+    }
+}
+
+/**
+ * Converts a point in the world from Blender's convention to another, with its units.
+ * @param {number[]} point
+ * @param {object} convention
+ * @returns {number[]}
+ */
+export function convertPoint(point, convention) {
+    return Vector.scalarMultiplication(new Matrix(convention.axes).transformVector(point), convention.unitScale)
+}
+
+/**
+ * Returns the name of a world plane, like "xy", in another convention.
+ * @param {string} plane A plane in Blender's convention.
+ * @param {object} convention
+ */
+export function convertPlane(plane, convention) {
+    return convention.axes.map((row, i) => plane.includes("xyz"[row.findIndex(x => x !== 0)]) ? "xyz"[i] : "").join("")
+}
+
+/**
+ * Converts a matrix that transforms from camera space to world space from Blender's convention to another.
+ * @param {Matrix} matrix A 4 * 4 matrix in Blender's convention.
+ * @param {object} convention
+ * @returns {Matrix}
+ */
+export function convertCameraMatrix(matrix, convention) {
+    let axes = new Matrix(convention.axes)
+    let rotation = new Matrix(matrix.matrix.slice(0, 3).map(row => row.slice(0, 3)))
+    rotation = Matrix.multiplication(axes, Matrix.multiplication(rotation, new Matrix(convention.camera)))
+
+    let location = convertPoint([0, 1, 2].map(i => matrix.matrix[i][3]), convention)
+
+    let converted = rotation.matrix.map((row, i) => row.concat(location[i]))
+    converted.push([0, 0, 0, 1])
+    return new Matrix(converted)
+}
@@ -0,0 +1,255 @@
+/**
+ * @file Reading the camera and lens from the EXIF metadata of JPEG, PNG and HEIC images.
+ *
+ * EXIF is stored as a TIFF structure. JPEG keeps it in an APP1 segment, PNG in an eXIf chunk,
+ * and HEIC as an item in the meta box, which the iinf box names and the iloc box locates.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+const exifTags = {
+    make: 0x010f,
+    model: 0x0110,
+    exifPointer: 0x8769,
+    focalLength: 0x920a,
+    focalLength35mm: 0xa405
+}
+
+// Bytes per value of each TIFF type that is read
+const tiffTypeSizes = {
+    1: 1, // BYTE
+    2: 1, // ASCII
+    3: 2, // SHORT
+    4: 4, // LONG
+    5: 8 // RATIONAL
+}
+
+function readFourCC(view, offset) {
+    return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)))
+}
+
+/**
+ * Returns the offset of the TIFF header in a JPEG file, or null.
+ * @param {DataView} view
+ */
+function findExifInJPEG(view) {
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+        let marker = view.getUint16(offset)
+        let length = view.getUint16(offset + 2)
+
+        // Start of scan, where the metadata has ended
+        if (marker === 0xffda) return null
+        if (marker === 0xffe1 && readFourCC(view, offset + 4) === "Exif") return offset + 10
+
+        offset += 2 + length
+    }
+    return null
+}
+
+/**
+ * Returns the offset of the TIFF header in a PNG file, or null.
+ * @param {DataView} view
+ */
+function findExifInPNG(view) {
+    let offset = 8
+    while (offset + 8 <= view.byteLength) {
+        let length = view.getUint32(offset)
+        let type = readFourCC(view, offset + 4)
+
+        if (type === "eXIf") return offset + 8
+        if (type === "IDAT" || type === "IEND") return null
+
+        offset += 12 + length
+    }
+    return null
+}
+
+/**
+ * Returns the boxes in a part of an ISO base media file (like HEIC), by type.
+ * @param {DataView} view
+ * @param {number} start
+ * @param {number} end
+ * @returns {Object<string, {start: number, end: number}>} The content of each box, after its header.
+ */
+function readBoxes(view, start, end) {
+    let boxes = {}
+    let offset = start
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset)
+        let type = readFourCC(view, offset + 4)
+        let headerSize = 8
+
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8))
+            headerSize = 16
+        } else if (size === 0) {
+            size = end - offset
+        }
+        if (size < headerSize) break
+
+        if (!(type in boxes)) boxes[type] = {start: offset + headerSize, end: Math.min(end, offset + size)}
+        offset += size
+    }
+    return boxes
+}
+
+/**
+ * Reads an unsigned integer of 0, 2, 4 or 8 bytes.
+ */
+function readSizedInt(view, offset, size) {
+    if (size === 0) return 0
+    if (size === 2) return view.getUint16(offset)
+    if (size === 4) return view.getUint32(offset)
+    return Number(view.getBigUint64(offset))
+}
+
+/**
+ * Returns the offset of the TIFF header in a HEIC file, or null.
+ * @param {DataView} view
+ */
+function findExifInHEIC(view) {
+    let meta = readBoxes(view, 0, view.byteLength).meta
+    if (!meta) return null
+
+    // meta, iinf and iloc are full boxes, with a version and flags before their content
+    let children = readBoxes(view, meta.start + 4, meta.end)
+    let iinf = children.iinf
+    let iloc = children.iloc
+    if (!iinf || !iloc) return null
+
+    // Find the id of the Exif item
+    let iinfVersion = view.getUint8(iinf.start)
+    let entriesStart = iinf.start + (iinfVersion === 0 ? 6 : 8)
+    let exifId = null
+    let offset = entriesStart
+    while (offset + 8 <= iinf.end && exifId === null) {
+        let size = view.getUint32(offset)
+        let version = view.getUint8(offset + 8)
+        if (readFourCC(view, offset + 4) === "infe" && version >= 2) {
+            let idSize = version === 2 ? 2 : 4
+            let id = readSizedInt(view, offset + 12, idSize)
+            if (readFourCC(view, offset + 12 + idSize + 2) === "Exif") exifId = id
+        }
+        if (size < 8) break
+        offset += size
+    }
+    if (exifId === null) return null
+
+    // Find where the item is stored
+    let version = view.getUint8(iloc.start)
+    offset = iloc.start + 4
+    let offsetSize = view.getUint8(offset) >> 4
+    let lengthSize = view.getUint8(offset) & 15
+    let baseOffsetSize = view.getUint8(offset + 1) >> 4
+    let indexSize = version > 0 ? view.getUint8(offset + 1) & 15 : 0
+    offset += 2
+
+    let itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+    offset += version < 2 ? 2 : 4
+
+    for (let i = 0; i < itemCount; i++) {
+        let id = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+        offset += version < 2 ? 2 : 4
+        if (version > 0) offset += 2 // Construction method
+        offset += 2 // Data reference index
+
+        let baseOffset = readSizedInt(view, offset, baseOffsetSize)
+        offset += baseOffsetSize
+        let extentCount = view.getUint16(offset)
+        offset += 2
+
+        for (let j = 0; j < extentCount; j++) {
+            offset += indexSize
+            let extentOffset = readSizedInt(view, offset, offsetSize)
+            offset += offsetSize + lengthSize
+
+            if (id === exifId && j === 0) {
+                // The item starts with the offset from after it to the TIFF header
+                let start = baseOffset + extentOffset
+                return start + 4 + view.getUint32(start)
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Reads the tags of a TIFF structure that are in exifTags.
+ * @param {DataView} view
+ * @param {number} start The offset of the TIFF header.
+ */
+function parseTIFF(view, start) {
+    let littleEndian = view.getUint16(start) === 0x4949
+    let uint16 = offset => view.getUint16(start + offset, littleEndian)
+    let uint32 = offset => view.getUint32(start + offset, littleEndian)
+
+    let values = {}
+
+    function readIFD(ifdOffset) {
+        let count = uint16(ifdOffset)
+        for (let i = 0; i < count; i++) {
+            let entry = ifdOffset + 2 + i * 12
+            let tag = uint16(entry)
+            let type = uint16(entry + 2)
+            let valueCount = uint32(entry + 4)
+            if (!(type in tiffTypeSizes)) continue
+
+            // Values that fit in four bytes are stored in the entry
+            let valueOffset = tiffTypeSizes[type] * valueCount > 4 ? uint32(entry + 8) : entry + 8
+
+            if (type === 2) {
+                let chars = []
+                for (let j = 0; j < valueCount; j++) chars.push(view.getUint8(start + valueOffset + j))
+                values[tag] = String.fromCharCode(...chars).replace(/\0.*$/, "").trim()
+            } else if (type === 5) {
+                values[tag] = uint32(valueOffset) / uint32(valueOffset + 4)
+            } else if (type === 3) {
+                values[tag] = uint16(valueOffset)
+            } else if (type === 4) {
+                values[tag] = uint32(valueOffset)
+            } else {
+                values[tag] = view.getUint8(start + valueOffset)
+            }
+        }
+    }
+
+    readIFD(uint32(4))
+    if (values[exifTags.exifPointer]) readIFD(values[exifTags.exifPointer])
+
+    return {
+        make: values[exifTags.make] || null,
+        model: values[exifTags.model] || null,
+        focalLength: values[exifTags.focalLength] || null,
+        focalLength35mm: values[exifTags.focalLength35mm] || null
+    }
+}
+
+/**
+ * Reads the camera make and model, and the focal length, from an image file.
+ * @param {Blob} file
+ * @returns {Promise<{make: string, model: string, focalLength: number, focalLength35mm: number}|null>}
+ *     Values that are missing are null. Resolves to null if the file has no EXIF that can be read.
+ */
+async function readExif(file) {
+    let view = new DataView(await file.arrayBuffer())
+    if (view.byteLength < 12) return null
+
+    let start = null
+    try {
+        if (view.getUint16(0) === 0xffd8) {
+            start = findExifInJPEG(view)
+        } else if (view.getUint32(0) === 0x89504e47) {
+            start = findExifInPNG(view)
+        } else if (readFourCC(view, 4) === "ftyp") {
+            start = findExifInHEIC(view)
+        }
+
+        return start === null ? null : parseTIFF(view, start)
+    } catch (error) {
+        // Broken metadata is the same as none
+        if (error instanceof RangeError) return null
+        throw error
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * @file Exporters that write the solved camera to standard 3D file formats.
+ *
+ * The exporters take a camera description with the following properties:
+ * - matrix: A 4 * 4 Matrix that transforms from camera space to world space.
+ *   The world is right-handed with Z up, like in Blender,
+ *   and the camera looks down its -Z axis with Y up.
+ * - focalLength: The focal length in mm.
+ * - sensorWidth, sensorHeight: The sensor size in mm, with the same aspect ratio as the image.
+ * - shift: The lens shift, in fractions of the longest side of the sensor. (Like Blender's shift_x and shift_y)
+ * - distortion: The radial distortion coefficients, in units of the focal length.
+ * - unitScale, unitName: (optional) The units of the file, as units per metre and the name of the unit.
+ *   Metres by default. glTF is always in metres.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Turns Z up coordinates into Y up coordinates, (x, y, z) -> (x, z, -y)
+const zUpToYUp = new Matrix([
+    [1, 0,  0, 0],
+    [0, 0,  1, 0],
+    [0, -1, 0, 0],
+    [0, 0,  0, 1]
+])
+
+const exportNear = 0.1
+const exportFar = 1000
+
+/**
+ * Returns a copy of a 4 * 4 matrix with the translation scaled, to change its units.
+ * @param {Matrix} matrix
+ * @param {number} scale
+ */
+function scaleTranslation(matrix, scale) {
+    return new Matrix(matrix.matrix.map((row, i) => i < 3 ? row.slice(0, 3).concat(row[3] * scale) : row.slice()))
+}
+
+/**
+ * Returns the field of view in radians along a side of the sensor.
+ * @param {object} camera
+ * @param {number} sensorSide - The width or the height of the sensor.
+ */
+function getSideFov(camera, sensorSide) {
+    return 2 * Math.atan(sensorSide / 2 / camera.focalLength)
+}
+
+/**
+ * Returns a glTF 2.0 file with a node for each camera.
+ * glTF is Y up, and its cameras look down -Z with Y up, so only the world needs converting.
+ * The lens shift and distortion can't be represented, so they are stored in the extras of the cameras.
+ * @param {object[]} cameras - Camera descriptions, see the top of this file, with an optional name.
+ * @returns {string}
+ */
+function camerasToGLTF(cameras) {
+    let gltf = {
+        asset: {
+            version: "2.0",
+            generator: "Camera Aligner"
+        },
+        scene: 0,
+        scenes: [{nodes: cameras.map((camera, i) => i)}],
+        nodes: cameras.map((camera, i) => ({
+            name: camera.name || "Camera",
+            camera: i,
+            // Column-major
+            matrix: [].concat(...Matrix.multiplication(zUpToYUp, camera.matrix).transpose.matrix)
+        })),
+        cameras: cameras.map(camera => ({
+            name: camera.name || "Camera",
+            type: "perspective",
+            perspective: {
+                aspectRatio: camera.sensorWidth / camera.sensorHeight,
+                yfov: getSideFov(camera, camera.sensorHeight),
+                znear: exportNear,
+                zfar: exportFar
+            },
+            extras: {
+                focalLength: camera.focalLength,
+                sensorWidth: camera.sensorWidth,
+                sensorHeight: camera.sensorHeight,
+                shiftX: camera.shift[0],
+                shiftY: camera.shift[1],
+                k1: camera.distortion.k1,
+                k2: camera.distortion.k2
+            }
+        }))
+    }
+
+    return JSON.stringify(gltf, null, 2)
+}
+
+/**
+ * Returns a glTF 2.0 file with a single camera node.
+ * @param {object} camera - The camera description, see the top of this file.
+ * @returns {string}
+ */
+function cameraToGLTF(camera) {
+    return camerasToGLTF([camera])
+}
+
+/**
+ * Returns a COLLADA 1.4.1 file with a single camera node.
+ * COLLADA can declare that the world is Z up, and its cameras look down -Z with Y up, so only the units are converted.
+ * @param {object} camera - The camera description, see the top of this file.
+ * @returns {string}
+ */
+function cameraToCOLLADA(camera) {
+    let date = new Date().toISOString()
+    let unitScale = camera.unitScale || 1
+    // Row-major
+    let matrix = [].concat(...scaleTranslation(camera.matrix, unitScale).matrix).join(" ")
+
+    return (
+`<?xml version="1.0" encoding="utf-8"?>
+<COLLADA xmlns="http://www.collada.org/2005/11/COLLADASchema" version="1.4.1">
+  <asset>
+    <contributor>
+      <authoring_tool>Camera Aligner</authoring_tool>
+    </contributor>
+    <created>${date}</created>
+    <modified>${date}</modified>
+    <unit name="${camera.unitName || "meter"}" meter="${1 / unitScale}"/>
+    <up_axis>Z_UP</up_axis>
+  </asset>
+  <library_cameras>
+    <camera id="Camera-camera" name="Camera">
+      <optics>
+        <technique_common>
+          <perspective>
+            <xfov sid="xfov">${getSideFov(camera, camera.sensorWidth) / Math.PI * 180}</xfov>
+            <aspect_ratio>${camera.sensorWidth / camera.sensorHeight}</aspect_ratio>
+            <znear sid="znear">${exportNear}</znear>
+            <zfar sid="zfar">${exportFar}</zfar>
+          </perspective>
+        </technique_common>
+      </optics>
+    </camera>
+  </library_cameras>
+  <library_visual_scenes>
+    <visual_scene id="Scene" name="Scene">
+      <node id="Camera" name="Camera" type="NODE">
+        <matrix sid="transform">${matrix}</matrix>
+        <instance_camera url="#Camera-camera"/>
+      </node>
+    </visual_scene>
+  </library_visual_scenes>
+  <scene>
+    <instance_visual_scene url="#Scene"/>
+  </scene>
+</COLLADA>
+`)
+}
+
+/**
+ * Returns an ASCII FBX 7.4 file with a single camera.
+ * The file is written Y up, which is what Maya and Unity expect.
+ * FBX cameras look down +X with Y up, so the camera is turned 90 degrees around its Y axis first.
+ * Film sizes in FBX are in inches, and the unit scale factor is the length of a unit in centimetres.
+ * @param {object} camera - The camera description, see the top of this file.
+ * @returns {string}
+ */
+function cameraToFBX(camera) {
+    let lookDownX = Matrix.identity(4)
+    let rotation = Matrix.rotation3D(1, Math.PI / 2).matrix
+    rotation.forEach((row, i) => row.forEach((value, j) => lookDownX.matrix[i][j] = value))
+
+    let unitScale = camera.unitScale || 1
+    let m = Matrix.multiplication(zUpToYUp, Matrix.multiplication(scaleTranslation(camera.matrix, unitScale), lookDownX))
+    let translation = [0, 1, 2].map(i => m.matrix[i][3])
+    let eulerRotation = eulerFromMatrix(m, "XYZ").map(angle => angle / Math.PI * 180)
+
+    let filmWidth = camera.sensorWidth / 25.4
+    let filmHeight = camera.sensorHeight / 25.4
+    let longest = Math.max(filmWidth, filmHeight)
+
+    return (
+`; FBX 7.4.0 project file
+; Created by Camera Aligner
+; ----------------------------------------------------
+
+FBXHeaderExtension:  {
+	FBXHeaderVersion: 1003
+	FBXVersion: 7400
+	Creator: "Camera Aligner"
+}
+GlobalSettings:  {
+	Version: 1000
+	Properties70:  {
+		P: "UpAxis", "int", "Integer", "",1
+		P: "UpAxisSign", "int", "Integer", "",1
+		P: "FrontAxis", "int", "Integer", "",2
+		P: "FrontAxisSign", "int", "Integer", "",1
+		P: "CoordAxis", "int", "Integer", "",0
+		P: "CoordAxisSign", "int", "Integer", "",1
+		P: "UnitScaleFactor", "double", "Number", "",${100 / unitScale}
+	}
+}
+Definitions:  {
+	Version: 100
+	Count: 2
+	ObjectType: "Model" {
+		Count: 1
+	}
+	ObjectType: "NodeAttribute" {
+		Count: 1
+	}
+}
+Objects:  {
+	NodeAttribute: 2000, "NodeAttribute::Camera", "Camera" {
+		Properties70:  {
+			P: "FilmWidth", "double", "Number", "",${filmWidth}
+			P: "FilmHeight", "double", "Number", "",${filmHeight}
+			P: "FilmAspectRatio", "double", "Number", "",${filmWidth / filmHeight}
+			P: "FilmOffsetX", "Number", "", "A",${camera.shift[0] * longest}
+			P: "FilmOffsetY", "Number", "", "A",${camera.shift[1] * longest}
+			P: "ApertureMode", "enum", "", "",3
+			P: "FocalLength", "Number", "", "A",${camera.focalLength}
+			P: "NearPlane", "double", "Number", "",${exportNear}
+			P: "FarPlane", "double", "Number", "",${exportFar}
+		}
+		TypeFlags: "Camera"
+		GeometryVersion: 124
+		Position: 0,0,0
+		Up: 0,1,0
+		LookAt: 1,0,0
+		ShowInfoOnMoving: 1
+		ShowAudio: 0
+		AudioColor: 0,1,0
+		CameraOrthoZoom: 1
+	}
+	Model: 1000, "Model::Camera", "Camera" {
+		Version: 232
+		Properties70:  {
+			P: "Lcl Translation", "Lcl Translation", "", "A",${translation.join(",")}
+			P: "Lcl Rotation", "Lcl Rotation", "", "A",${eulerRotation.join(",")}
+			P: "DefaultAttributeIndex", "int", "Integer", "",0
+		}
+		Shading: Y
+		Culling: "CullingOff"
+	}
+}
+Connections:  {
+	C: "OO",1000,0
+	C: "OO",2000,1000
+}
+`)
+}
@@ -0,0 +1,388 @@
+/**
+ * @file Importing and exporting fSpy project files.
+ *
+ * An .fspy file starts with a 16 byte header: the characters "fspy", the file format version,
+ * the byte length of the state and the byte length of the image, as little endian 32 bit integers.
+ * The header is followed by the state as JSON, and then the image.
+ *
+ * Control points in the state are relative to the top left corner of the image, from 0 to 1.
+ * Points in the camera parameters are in fSpy's image plane coordinates, which are the same as UV's.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+const fSpyFileVersion = 1
+
+// fSpy's axis names, and the values of the axis inputs
+const fSpyAxes = {
+    xPositive: " x",
+    xNegative: "-x",
+    yPositive: " y",
+    yNegative: "-y",
+    zPositive: " z",
+    zNegative: "-z"
+}
+
+function fSpyAxisFromValue(value) {
+    return Object.keys(fSpyAxes).find(key => fSpyAxes[key] === value)
+}
+
+function relativeToUV(point, width, height) {
+    let halfLongest = Math.max(width, height) / 2
+    return [(point.x - 0.5) * width / halfLongest, (0.5 - point.y) * height / halfLongest]
+}
+
+function UVToRelative(point, width, height) {
+    let halfLongest = Math.max(width, height) / 2
+    return {
+        x: point[0] * halfLongest / width + 0.5,
+        y: 0.5 - point[1] * halfLongest / height
+    }
+}
+
+/**
+ * Splits an .fspy file into its state and image.
+ * @param {ArrayBuffer} buffer
+ * @returns {{state: object, image: Blob}}
+ */
+function parseFSpyFile(buffer) {
+    let view = new DataView(buffer)
+    let signature = new TextDecoder().decode(new Uint8Array(buffer, 0, 4))
+    if (signature !== "fspy") throw new Error("This is not an fSpy project file.")
+
+    let version = view.getUint32(4, true)
+    if (version !== fSpyFileVersion) throw new Error(`Unsupported fSpy file version ${version}.`)
+
+    let stateSize = view.getUint32(8, true)
+    let imageSize = view.getUint32(12, true)
+
+    let state = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 16, stateSize)))
+    let imageBytes = new Uint8Array(buffer, 16 + stateSize, imageSize)
+
+    // PNG files start with 0x89, JPEG files with 0xFF
+    let type = imageBytes[0] === 0x89 ? "image/png" : "image/jpeg"
+
+    return {state: state, image: new Blob([imageBytes], {type: type})}
+}
+
+/**
+ * Joins a state and an image into an .fspy file.
+ * @param {object} state
+ * @param {ArrayBuffer} image
+ * @returns {ArrayBuffer}
+ */
+function buildFSpyFile(state, image) {
+    let stateBytes = new TextEncoder().encode(JSON.stringify(state))
+    let imageBytes = new Uint8Array(image)
+
+    let buffer = new ArrayBuffer(16 + stateBytes.length + imageBytes.length)
+    let view = new DataView(buffer)
+    let bytes = new Uint8Array(buffer)
+
+    bytes.set(new TextEncoder().encode("fspy"), 0)
+    view.setUint32(4, fSpyFileVersion, true)
+    view.setUint32(8, stateBytes.length, true)
+    view.setUint32(12, imageBytes.length, true)
+    bytes.set(stateBytes, 16)
+    bytes.set(imageBytes, 16 + stateBytes.length)
+
+    return buffer
+}
+
+/**
+ * Places the reference segment where fSpy draws its reference distance handles.
+ * The handles are offset from the anchor along the reference axis, as it appears in the image.
+ * @param {number[]} anchor
+ * @param {number[]} offsets
+ */
+function setReferenceSegmentFromFSpy(anchor, offsets) {
+    let axisIndex = "xyz".indexOf(document.getElementById("reference-axis").value)
+    let axis = calcResults.worldTransform.transpose.matrix[axisIndex]
+
+    // Moving along the axis moves towards its vanishing point if the axis points away from the camera
+    let vanishingPoint = projectPointLocal(axis)
+    let direction = Vector.normalize(Vector.subtraction(vanishingPoint, anchor))
+    if (axis[2] > 0) direction = Vector.scalarMultiplication(direction, -1)
+
+    referenceSegment = offsets.map(offset => Vector.addition(anchor, Vector.scalarMultiplication(direction, offset)))
+}
+
+function isRelativePoint(value) {
+    return isObject(value) && [value.x, value.y].every(x => typeof x === "number" && isFinite(x))
+}
+
+function isVanishingPointState(value) {
+    return isObject(value) && Array.isArray(value.lineSegments) && value.lineSegments.length >= 2 && value.lineSegments.every(segment => {
+        return Array.isArray(segment) && segment.length === 2 && segment.every(isRelativePoint)
+    })
+}
+
+/**
+ * Returns why an fSpy state can't be opened, or null if it can.
+ * Like getProjectError in project.js, only what applyFSpyState reads is checked, so that nothing is changed by a broken state.
+ * @param {*} state
+ */
+function getFSpyStateError(state) {
+    if (!isObject(state)) return "The fSpy project has no state."
+
+    let missing = []
+    let global = state.globalSettings
+    if (!isObject(global) || typeof global.calibrationMode !== "string") missing.push("globalSettings")
+    let oneVanishingPoint = isObject(global) && global.calibrationMode === "OneVanishingPoint"
+
+    let settings = state.calibrationSettingsBase
+    let referenceAxis = null
+    if (!isObject(settings)) {
+        missing.push("calibrationSettingsBase")
+    } else {
+        referenceAxis = settings.referenceDistanceAxis
+        let isNumber = x => typeof x === "number" && isFinite(x)
+        let isAxis = axis => Object.keys(fSpyAxes).includes(axis)
+        if (!isAxis(settings.firstVanishingPointAxis) || !isAxis(settings.secondVanishingPointAxis)) {
+            missing.push("calibrationSettingsBase.vanishingPointAxes")
+        }
+        if (!isObject(settings.cameraData) || !isNumber(settings.cameraData.customSensorWidth) || !isNumber(settings.cameraData.customSensorHeight)) {
+            missing.push("calibrationSettingsBase.cameraData")
+        }
+        if (referenceAxis && !(isAxis(referenceAxis) && isNumber(settings.referenceDistance))) {
+            missing.push("calibrationSettingsBase.referenceDistance")
+        }
+    }
+
+    let settings1VP = state.calibrationSettings1VP
+    let settings2VP = state.calibrationSettings2VP
+    if (!isObject(settings1VP) || typeof settings1VP.principalPointMode !== "string") missing.push("calibrationSettings1VP")
+    if (!isObject(settings2VP) || typeof settings2VP.principalPointMode !== "string") missing.push("calibrationSettings2VP")
+    let activeSettings = oneVanishingPoint ? settings1VP : settings2VP
+    let principalPointMode = isObject(activeSettings) ? activeSettings.principalPointMode : null
+
+    let base = state.controlPointsStateBase
+    if (!isObject(base)) {
+        missing.push("controlPointsStateBase")
+    } else {
+        if (!isRelativePoint(base.origin)) missing.push("controlPointsStateBase.origin")
+        if (principalPointMode === "Manual" && !isRelativePoint(base.principalPoint)) missing.push("controlPointsStateBase.principalPoint")
+        if (!isVanishingPointState(base.firstVanishingPoint)) missing.push("controlPointsStateBase.firstVanishingPoint")
+        if (referenceAxis && !(isRelativePoint(base.referenceDistanceAnchor) && isPoint(base.referenceDistanceHandleOffsets))) {
+            missing.push("controlPointsStateBase.referenceDistanceHandles")
+        }
+    }
+
+    if (oneVanishingPoint) {
+        let state1VP = state.controlPointsState1VP
+        if (!isObject(state1VP) || !Array.isArray(state1VP.horizon) || state1VP.horizon.length !== 2 || !state1VP.horizon.every(isRelativePoint)) {
+            missing.push("controlPointsState1VP.horizon")
+        }
+    } else {
+        let state2VP = isObject(state.controlPointsState2VP) ? state.controlPointsState2VP : {}
+        // In quad mode, the second vanishing point comes from the lines of the first
+        let quadMode = isObject(settings2VP) && settings2VP.quadModeEnabled
+        if (!quadMode && !isVanishingPointState(state2VP.secondVanishingPoint)) missing.push("controlPointsState2VP.secondVanishingPoint")
+        if (principalPointMode === "FromThirdVanishingPoint" && !isVanishingPointState(state2VP.thirdVanishingPoint)) {
+            missing.push("controlPointsState2VP.thirdVanishingPoint")
+        }
+    }
+
+    return missing.length ? `The fSpy project is damaged, these parts are missing or invalid: ${missing.join(", ")}.` : null
+}
+
+/**
+ * Replaces the points and settings with the ones from an fSpy state, which has been checked with getFSpyStateError.
+ * The image must already be loaded.
+ * fSpy's lines don't share end points like the corners do, so they are all added as line segments.
+ * @param {object} state
+ */
+function applyFSpyState(state) {
+    let width = img.naturalWidth
+    let height = img.naturalHeight
+    let toUV = point => relativeToUV(point, width, height)
+
+    let base = state.controlPointsStateBase
+    let settings = state.calibrationSettingsBase
+    let oneVanishingPoint = state.globalSettings.calibrationMode === "OneVanishingPoint"
+    let principalPointMode = oneVanishingPoint ? state.calibrationSettings1VP.principalPointMode : state.calibrationSettings2VP.principalPointMode
+
+    let mode = 2
+    if (oneVanishingPoint) mode = 1
+    if (!oneVanishingPoint && principalPointMode === "FromThirdVanishingPoint") mode = 3
+
+    origin = toUV(base.origin)
+    manualPrincipalPoint = principalPointMode === "Manual" ? toUV(base.principalPoint) : [0, 0]
+    corners = []
+    lineSegments = []
+
+    function addLines(axisIndex, segments) {
+        segments.forEach(segment => lineSegments.push(new LineSegment(axisIndex, ...segment.map(toUV))))
+    }
+
+    let firstLines = base.firstVanishingPoint.lineSegments
+    addLines(0, firstLines)
+
+    if (mode === 1) {
+        horizon = state.controlPointsState1VP.horizon.map(toUV)
+    } else if (state.calibrationSettings2VP.quadModeEnabled) {
+        // The second vanishing point comes from the other two sides of the quad
+        addLines(1, [[firstLines[0][0], firstLines[1][0]], [firstLines[0][1], firstLines[1][1]]])
+    } else {
+        addLines(1, state.controlPointsState2VP.secondVanishingPoint.lineSegments)
+    }
+
+    if (mode === 3) {
+        addLines(2, state.controlPointsState2VP.thirdVanishingPoint.lineSegments)
+    }
+
+    document.getElementById("mode").value = mode
+    document.getElementById("manual-principal-point").checked = principalPointMode === "Manual"
+    document.getElementById("axis1").value = fSpyAxes[settings.firstVanishingPointAxis]
+    document.getElementById("axis2").value = fSpyAxes[settings.secondVanishingPointAxis]
+    document.getElementById("sensor-width").value = settings.cameraData.customSensorWidth
+    document.getElementById("sensor-height").value = settings.cameraData.customSensorHeight
+    document.getElementById("known-focal-length").value = state.calibrationSettings1VP.absoluteFocalLength
+
+    let referenceAxis = settings.referenceDistanceAxis
+    document.getElementById("scale-mode").value = referenceAxis ? "reference" : "distance"
+    if (referenceAxis) {
+        document.getElementById("reference-axis").value = referenceAxis[0]
+        document.getElementById("reference-length").value = settings.referenceDistance
+    }
+
+    updateScaleMode()
+    updateMode()
+
+    if (referenceAxis && calcResults.worldTransform) {
+        setReferenceSegmentFromFSpy(toUV(base.referenceDistanceAnchor), base.referenceDistanceHandleOffsets)
+        refresh()
+    }
+    clearHistory()
+}
+
+/**
+ * Returns the current calibration as an fSpy state.
+ * fSpy uses exactly two lines per vanishing point, so only the first two of each are written.
+ */
+function getFSpyState() {
+    let width = img.naturalWidth
+    let height = img.naturalHeight
+    let toRelative = point => UVToRelative(point, width, height)
+    let halfLongest = Math.max(width, height) / 2
+
+    // Used for vanishing points that have no lines in the current mode
+    let defaultLines = [[[-0.5, 0.3], [0.5, 0.4]], [[-0.5, -0.3], [0.5, -0.4]]]
+
+    function vanishingPointState(index) {
+        let segments = getLineSegments(index).slice(0, 2)
+        if (segments.length < 2) segments = defaultLines
+        return {lineSegments: segments.map(segment => segment.map(toRelative))}
+    }
+
+    let mode = calcResults.mode
+    let axis1 = document.getElementById("axis1").value
+    let axis2 = document.getElementById("axis2").value
+    let axis3 = "xyz".split("").find(axis => axis !== axis1[1] && axis !== axis2[1])
+
+    let scaleMode = document.getElementById("scale-mode").value
+    let referenceAxis = document.getElementById("reference-axis").value
+    let referenceLength = Vector.subtraction(referenceSegment[1], referenceSegment[0])
+
+    let focalDistance = calcResults.focalLength / calcResults.sensorLength * 2
+    let pp = calcResults.principalPoint
+
+    let axisDirections = calcResults.worldTransform.transpose.matrix
+    let thirdVanishingPoint = mode === 3 ? calcResults.vanishingPoints[2] : projectPointLocal(axisDirections["xyz".indexOf(axis3)])
+    let cameraTransform = calcResults.cameraMatrix
+
+    let principalPointMode = "Default"
+    if (mode === 3) principalPointMode = "FromThirdVanishingPoint"
+    if (isPrincipalPointManual()) principalPointMode = "Manual"
+
+    return {
+        globalSettings: {
+            calibrationMode: mode === 1 ? "OneVanishingPoint" : "TwoVanishingPoints",
+            imageOpacity: 0.2,
+            overlay3DGuide: "Box",
+            showDetailedCalibrationResult: false
+        },
+        calibrationSettingsBase: {
+            referenceDistanceAxis: scaleMode === "reference" ? `${referenceAxis}Positive` : null,
+            referenceDistance: Number(document.getElementById("reference-length").value),
+            referenceDistanceUnit: "No unit",
+            cameraData: {
+                presetId: null,
+                customSensorWidth: Number(document.getElementById("sensor-width").value),
+                customSensorHeight: Number(document.getElementById("sensor-height").value)
+            },
+            firstVanishingPointAxis: fSpyAxisFromValue(axis1),
+            secondVanishingPointAxis: fSpyAxisFromValue(axis2)
+        },
+        calibrationSettings1VP: {
+            principalPointMode: isPrincipalPointManual() ? "Manual" : "Default",
+            absoluteFocalLength: Number(document.getElementById("known-focal-length").value)
+        },
+        calibrationSettings2VP: {
+            principalPointMode: principalPointMode,
+            quadModeEnabled: false
+        },
+        controlPointsStateBase: {
+            principalPoint: toRelative(isPrincipalPointManual() ? manualPrincipalPoint : pp),
+            origin: toRelative(calcResults.origin),
+            referenceDistanceAnchor: toRelative(referenceSegment[0]),
+            firstVanishingPoint: vanishingPointState(0),
+            referenceDistanceHandleOffsets: [0, Math.sqrt(Vector.dotProduct(referenceLength, referenceLength))]
+        },
+        controlPointsState1VP: {
+            horizon: horizon.map(toRelative)
+        },
+        controlPointsState2VP: {
+            secondVanishingPoint: vanishingPointState(1),
+            thirdVanishingPoint: vanishingPointState(2)
+        },
+        cameraParameters: {
+            principalPoint: {x: pp[0], y: pp[1]},
+            viewTransform: {rows: cameraTransform.inverse.matrix},
+            cameraTransform: {rows: cameraTransform.matrix},
+            horizontalFieldOfView: 2 * Math.atan(width / 2 / halfLongest / focalDistance),
+            verticalFieldOfView: 2 * Math.atan(height / 2 / halfLongest / focalDistance),
+            vanishingPoints: [calcResults.vanishingPoints[0], calcResults.vanishingPoints[1], thirdVanishingPoint].map(vp => ({x: vp[0], y: vp[1]})),
+            vanishingPointAxes: [fSpyAxisFromValue(axis1), fSpyAxisFromValue(axis2), `${axis3}Positive`],
+            relativeFocalLength: focalDistance,
+            imageWidth: width,
+            imageHeight: height
+        }
+    }
+}
+
+/**
+ * Opens an .fspy file, replacing the image, points and settings.
+ * @param {File} file
+ */
+async function importFSpy(file) {
+    if (!file) return
+
+    let project
+    try {
+        project = parseFSpyFile(await file.arrayBuffer())
+    } catch (error) {
+        alert(`Could not read the fSpy project: ${error.message}`)
+        return
+    }
+
+    let error = getFSpyStateError(project.state)
+    if (error) {
+        alert(error)
+        return
+    }
+
+    let name = file.name.replace(/\.fspy$/i, "")
+    let image = new File([project.image], name, {type: project.image.type})
+    uploadImage(image, () => applyFSpyState(project.state))
+}
+
+async function exportFSpy() {
+    if (!imageFile || !calcResults.worldTransform) return
+
+    let buffer = buildFSpyFile(getFSpyState(), await imageFile.arrayBuffer())
+    let name = imageFile.name.replace(/\.[^.]*$/, "")
+
+    downloadFile(`${name}.fspy`, buffer, "application/octet-stream")
+}
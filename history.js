@@ -0,0 +1,187 @@
+/**
+ * @file Undo and redo of point moves, added and removed lines, and setting changes.
+ *
+ * Every change is stored as a command that knows how to undo and redo itself.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+const maxHistoryLength = 200
+
+let undoStack = []
+let redoStack = []
+
+// The settings after the last change, which is what a setting change is undone to
+let lastSettings = getSettings()
+
+
+class MovePointCommand {
+    /**
+     * @param {number[]} point The point that was moved. It is changed in place.
+     * @param {number[]} from
+     * @param {number[]} to
+     */
+    constructor(point, from, to) {
+        this.point = point
+        this.from = from
+        this.to = to
+    }
+
+    undo() {
+        this.point[0] = this.from[0]
+        this.point[1] = this.from[1]
+    }
+
+    redo() {
+        this.point[0] = this.to[0]
+        this.point[1] = this.to[1]
+    }
+}
+
+class SettingsCommand {
+    /**
+     * Some inputs change others, like the sensor size, so all settings are stored.
+     * @param {object} before
+     * @param {object} after
+     */
+    constructor(before, after) {
+        this.before = before
+        this.after = after
+    }
+
+    undo() {
+        setSettings(this.before)
+    }
+
+    redo() {
+        setSettings(this.after)
+    }
+}
+
+class ReplaceLinesCommand {
+    /**
+     * Replaces all corners and line segments, like when lines are detected.
+     * @param {object} before The corners and line segments before, as {corners, lineSegments}.
+     * @param {object} after
+     */
+    constructor(before, after) {
+        this.before = before
+        this.after = after
+    }
+
+    undo() {
+        corners = this.before.corners
+        lineSegments = this.before.lineSegments
+    }
+
+    redo() {
+        corners = this.after.corners
+        lineSegments = this.after.lineSegments
+    }
+}
+
+class ListItemCommand {
+    /**
+     * Adds an item to the end of a list, like a line or a measurement, or removes it from there.
+     * The moves of its points stay in the history, and apply again when it is back.
+     * @param {Array} list The list itself, which is changed in place.
+     * @param {*} item
+     * @param {boolean} added Whether the item was added, otherwise it was removed.
+     * @param {function} [update] Updates what shows the list in the panel.
+     */
+    constructor(list, item, added, update=() => {}) {
+        this.list = list
+        this.item = item
+        this.added = added
+        this.update = update
+    }
+
+    add() {
+        this.list.push(this.item)
+        this.update()
+    }
+
+    remove() {
+        let index = this.list.lastIndexOf(this.item)
+        if (index !== -1) this.list.splice(index, 1)
+        this.update()
+    }
+
+    undo() {
+        this.added ? this.remove() : this.add()
+    }
+
+    redo() {
+        this.added ? this.add() : this.remove()
+    }
+}
+
+
+function addToHistory(command) {
+    undoStack.push(command)
+    if (undoStack.length > maxHistoryLength) undoStack.shift()
+    redoStack = []
+}
+
+/**
+ * Forgets all changes, used when the image or project is replaced.
+ */
+function clearHistory() {
+    undoStack = []
+    redoStack = []
+    lastSettings = getSettings()
+}
+
+function undo() {
+    let command = undoStack.pop()
+    if (!command) return
+
+    command.undo()
+    redoStack.push(command)
+    lastSettings = getSettings()
+    refresh()
+}
+
+function redo() {
+    let command = redoStack.pop()
+    if (!command) return
+
+    command.redo()
+    undoStack.push(command)
+    lastSettings = getSettings()
+    refresh()
+}
+
+
+/**
+ * Adds the settings that changed since the last change to the history, if any did.
+ * Called after inputs change, and after settings are changed by code, like from the EXIF.
+ */
+function recordSettingsChange() {
+    let settings = getSettings()
+    if (JSON.stringify(settings) !== JSON.stringify(lastSettings)) {
+        addToHistory(new SettingsCommand(lastSettings, settings))
+        lastSettings = settings
+    }
+}
+
+
+// The inline handlers of the inputs have already run when the event gets here
+document.getElementsByTagName("aside")[0].addEventListener("change", recordSettingsChange)
+
+// Fields have their own undo for what is typed in them
+const ownUndoTags = ["INPUT", "SELECT", "TEXTAREA"]
+
+document.addEventListener("keydown", event => {
+    if (!(event.ctrlKey || event.metaKey) || ownUndoTags.includes(event.target.tagName)) return
+
+    let key = event.key.toLowerCase()
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault()
+        undo()
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault()
+        redo()
+    }
+})
@@ -0,0 +1,196 @@
+/**
+ * @file Radial lens distortion.
+ *
+ * Points are in UV units, measured from the center of the image.
+ * The distortion model is the polynomial one used by Blender's motion tracking:
+ * distorted = undistorted * (1 + k1 * r^2 + k2 * r^4),
+ * where r is the distance of the undistorted point from the center.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Matrix, Vector} from "./linear-algebra.js"
+
+/**
+ * Holds the coefficients of radial distortion.
+ * @property {number} k1
+ * @property {number} k2
+ */
+export class Distortion {
+    /**
+     * @param {number} [k1]
+     * @param {number} [k2]
+     */
+    constructor(k1=0, k2=0) {
+        this.k1 = k1
+        this.k2 = k2
+    }
+
+    /**
+     * Whether the distortion does anything.
+     */
+    get isZero() {
+        return this.k1 === 0 && this.k2 === 0
+    }
+
+    /**
+     * Returns the factor a point at the given squared distance from the center is scaled by.
+     * @param {number} r2 - The squared distance from the center.
+     */
+    factor(r2) {
+        return 1 + this.k1 * r2 + this.k2 * r2 * r2
+    }
+
+    /**
+     * Moves a point from where it would be with a perfect lens to where it is in the photo.
+     * @param {number[]} point
+     * @returns {number[]}
+     */
+    distort(point) {
+        return Vector.scalarMultiplication(point, this.factor(point[0] * point[0] + point[1] * point[1]))
+    }
+
+    /**
+     * Moves a point from where it is in the photo to where it would be with a perfect lens.
+     * There is no closed form for this, so it is found by fixed-point iteration.
+     * @param {number[]} point
+     * @returns {number[]}
+     */
+    undistort(point) {
+        if (this.isZero) return point
+
+        let undistorted = point
+        for (let i = 0; i < 20; i++) {
+            let r2 = undistorted[0] * undistorted[0] + undistorted[1] * undistorted[1]
+            undistorted = Vector.scalarMultiplication(point, 1 / this.factor(r2))
+        }
+        return undistorted
+    }
+
+    /**
+     * Returns the coefficients for points measured in units of the focal length instead of UV units,
+     * which is what Blender and OpenCV expect.
+     * @param {number} focalDistance - The focal length in UV units.
+     * @returns {Distortion}
+     */
+    normalized(focalDistance) {
+        return new Distortion(this.k1 * Math.pow(focalDistance, 2), this.k2 * Math.pow(focalDistance, 4))
+    }
+
+    /**
+     * Returns the distance from each point to the straight line that fits its undistorted line best.
+     * @param {number[][][]} lines - Arrays of points that should lie on straight lines.
+     * @returns {number[]}
+     */
+    straightnessErrors(lines) {
+        let errors = []
+
+        lines.forEach(points => {
+            let undistorted = points.map(point => this.undistort(point))
+            let centroid = Vector.scalarMultiplication(undistorted.reduce((prev, curr) => Vector.addition(prev, curr)), 1 / undistorted.length)
+
+            let sxx = 0
+            let syy = 0
+            let sxy = 0
+            undistorted.forEach(point => {
+                let d = Vector.subtraction(point, centroid)
+                sxx += d[0] * d[0]
+                syy += d[1] * d[1]
+                sxy += d[0] * d[1]
+            })
+
+            // Direction of the best fitting line
+            let angle = 0.5 * Math.atan2(2 * sxy, sxx - syy)
+            let normal = [-Math.sin(angle), Math.cos(angle)]
+
+            undistorted.forEach(point => errors.push(Vector.dotProduct(normal, Vector.subtraction(point, centroid))))
+        })
+
+        return errors
+    }
+
+    /**
+     * Finds the distortion that makes the given lines as straight as possible,
+     * using damped Gauss-Newton iteration.
+     * @param {number[][][]} lines - Arrays of at least three points that should lie on straight lines.
+     * @returns {Distortion}
+     */
+    static estimate(lines) {
+        let distortion = new Distortion()
+        lines = lines.filter(points => points.length > 2)
+        if (lines.length === 0) return distortion
+
+        const h = 1e-6
+        // Keeps the coefficients from running away when the lines can't tell them apart
+        const damping = 1e-4
+
+        for (let iteration = 0; iteration < 20; iteration++) {
+            let errors = distortion.straightnessErrors(lines)
+
+            let derivatives = [
+                new Distortion(distortion.k1 + h, distortion.k2),
+                new Distortion(distortion.k1, distortion.k2 + h)
+            ].map(changed => changed.straightnessErrors(lines).map((error, i) => (error - errors[i]) / h))
+
+            let rows = errors.map((error, i) => [derivatives[0][i], derivatives[1][i]])
+            rows.push([damping, 0], [0, damping])
+            let values = errors.map(error => -error).concat([0, 0])
+
+            let step = Matrix.leastSquares(new Matrix(rows), values)
+            distortion = new Distortion(distortion.k1 + step[0], distortion.k2 + step[1])
+
+            if (Math.abs(step[0]) + Math.abs(step[1]) < 1e-9) break
+        }
+
+        return distortion
+    }
+}
+
+
+/**
+ * Draws an image with the distortion removed, at a size no larger than maxSize.
+ * @param {HTMLImageElement} image
+ * @param {Distortion} distortion
+ * @param {number} [maxSize] - The longest side of the result in pixels.
+ * @returns {HTMLCanvasElement}
+ */
+export function undistortImage(image, distortion, maxSize=1200) {
+    let scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight))
+    let width = Math.round(image.naturalWidth * scale)
+    let height = Math.round(image.naturalHeight * scale)
+    let halfLongest = Math.max(width, height) / 2
+
+    let source = document.createElement("canvas")
+    source.width = width
+    source.height = height
+    let sourceCtx = source.getContext("2d")
+    sourceCtx.drawImage(image, 0, 0, width, height)
+    let sourceData = sourceCtx.getImageData(0, 0, width, height).data
+
+    let result = document.createElement("canvas")
+    result.width = width
+    result.height = height
+    let resultCtx = result.getContext("2d")
+    let resultImage = resultCtx.createImageData(width, height)
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let uv = [(x + 0.5 - width / 2) / halfLongest, (height / 2 - y - 0.5) / halfLongest]
+            let distorted = distortion.distort(uv)
+
+            let sx = Math.floor(distorted[0] * halfLongest + width / 2)
+            let sy = Math.floor(height / 2 - distorted[1] * halfLongest)
+            if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue
+
+            let from = (sy * width + sx) * 4
+            let to = (y * width + x) * 4
+            for (let i = 0; i < 4; i++) {
+                resultImage.data[to + i] = sourceData[from + i]
+            }
+        }
+    }
+
+    resultCtx.putImageData(resultImage, 0, 0)
+    return result
+}
@@ -0,0 +1,260 @@
+/**
+ * @file Web Worker that finds straight lines in an image and groups them by vanishing point.
+ *
+ * Lines are found like in LSD (Line Segment Detector): pixels with a strong gradient are grown
+ * into regions where the gradient points the same way, and long and thin regions become segments.
+ * The segments are then grouped by RANSAC: the vanishing point that the most line length points at
+ * is found, its lines are removed, and this is repeated.
+ *
+ * Receives {width, height, pixels}, where pixels is RGBA data.
+ * Replies with {segments, clusters}, where segments are pairs of UV's and each cluster is a list of segment indices.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Gradients weaker than this are ignored, in gray levels per pixel
+const minGradient = 8
+// How different the gradient directions in a region can be
+const angleTolerance = 22.5 / 180 * Math.PI
+const minRegionSize = 12
+// In pixels
+const minSegmentLength = 20
+// Width of a region relative to its length
+const maxThinness = 0.12
+
+const maxClusters = 3
+const ransacIterations = 600
+// How far a line may point away from a vanishing point and still belong to it
+const inlierAngle = 1.5 / 180 * Math.PI
+
+
+function toGray(pixels, width, height) {
+    let gray = new Float32Array(width * height)
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]
+    }
+    return gray
+}
+
+/**
+ * Returns the magnitude and direction of the Sobel gradient of every pixel.
+ */
+function getGradients(gray, width, height) {
+    let magnitude = new Float32Array(width * height)
+    let angle = new Float32Array(width * height)
+    let at = (x, y) => gray[y * width + x]
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            let gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1)) / 8
+            let gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1)) / 8
+
+            magnitude[y * width + x] = Math.sqrt(gx * gx + gy * gy)
+            angle[y * width + x] = Math.atan2(gy, gx)
+        }
+    }
+
+    return {magnitude, angle}
+}
+
+/**
+ * The difference between two directions, where opposite directions are the same.
+ */
+function angleDifference(a, b) {
+    let difference = Math.abs(a - b) % Math.PI
+    return Math.min(difference, Math.PI - difference)
+}
+
+/**
+ * Grows regions of pixels with similar gradient directions, starting with the strongest pixels,
+ * and turns the ones that are long and thin into line segments.
+ * @returns {number[][][]} Segments as pairs of pixel coordinates.
+ */
+function findSegments(gray, width, height) {
+    let {magnitude, angle} = getGradients(gray, width, height)
+
+    // Strongest pixels first
+    let seeds = []
+    for (let i = 0; i < magnitude.length; i++) {
+        if (magnitude[i] > minGradient) seeds.push(i)
+    }
+    seeds.sort((a, b) => magnitude[b] - magnitude[a])
+
+    let used = new Uint8Array(width * height)
+    let segments = []
+
+    seeds.forEach(seed => {
+        if (used[seed]) return
+
+        // Region growing, with the direction of the region kept as the mean of doubled angles
+        let region = [seed]
+        used[seed] = 1
+        let sumSin = Math.sin(2 * angle[seed])
+        let sumCos = Math.cos(2 * angle[seed])
+        let regionAngle = angle[seed]
+
+        for (let i = 0; i < region.length; i++) {
+            let x = region[i] % width
+            let y = Math.floor(region[i] / width)
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    let nx = x + dx
+                    let ny = y + dy
+                    if (nx < 1 || ny < 1 || nx >= width - 1 || ny >= height - 1) continue
+
+                    let n = ny * width + nx
+                    if (used[n] || magnitude[n] <= minGradient || angleDifference(angle[n], regionAngle) > angleTolerance) continue
+
+                    used[n] = 1
+                    region.push(n)
+                    sumSin += Math.sin(2 * angle[n])
+                    sumCos += Math.cos(2 * angle[n])
+                    regionAngle = Math.atan2(sumSin, sumCos) / 2
+                }
+            }
+        }
+
+        if (region.length < minRegionSize) return
+
+        let segment = regionToSegment(region, magnitude, width)
+        if (segment) segments.push(segment)
+    })
+
+    return segments
+}
+
+/**
+ * Fits a line segment to a region, weighted by gradient magnitude. Returns null if the region isn't thin enough.
+ */
+function regionToSegment(region, magnitude, width) {
+    let total = 0
+    let cx = 0
+    let cy = 0
+    region.forEach(i => {
+        total += magnitude[i]
+        cx += (i % width) * magnitude[i]
+        cy += Math.floor(i / width) * magnitude[i]
+    })
+    cx /= total
+    cy /= total
+
+    let sxx = 0
+    let syy = 0
+    let sxy = 0
+    region.forEach(i => {
+        let dx = i % width - cx
+        let dy = Math.floor(i / width) - cy
+        sxx += dx * dx * magnitude[i]
+        syy += dy * dy * magnitude[i]
+        sxy += dx * dy * magnitude[i]
+    })
+
+    let lineAngle = 0.5 * Math.atan2(2 * sxy, sxx - syy)
+    let direction = [Math.cos(lineAngle), Math.sin(lineAngle)]
+
+    let min = Infinity
+    let max = -Infinity
+    let minWidth = Infinity
+    let maxWidth = -Infinity
+    region.forEach(i => {
+        let dx = i % width - cx
+        let dy = Math.floor(i / width) - cy
+        let along = dx * direction[0] + dy * direction[1]
+        let across = -dx * direction[1] + dy * direction[0]
+
+        min = Math.min(min, along)
+        max = Math.max(max, along)
+        minWidth = Math.min(minWidth, across)
+        maxWidth = Math.max(maxWidth, across)
+    })
+
+    let length = max - min
+    if (length < minSegmentLength || maxWidth - minWidth > Math.max(2.5, length * maxThinness)) return null
+
+    // Pixel centers are at half pixels
+    return [
+        [cx + 0.5 + direction[0] * min, cy + 0.5 + direction[1] * min],
+        [cx + 0.5 + direction[0] * max, cy + 0.5 + direction[1] * max]
+    ]
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ]
+}
+
+/**
+ * Returns how far a segment points away from a vanishing point in homogeneous coordinates, which may be at infinity.
+ */
+function vanishingPointAngle(segment, vanishingPoint) {
+    let [start, end] = segment
+    let mid = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2]
+
+    let toPoint = [vanishingPoint[0] - mid[0] * vanishingPoint[2], vanishingPoint[1] - mid[1] * vanishingPoint[2]]
+    let direction = [end[0] - start[0], end[1] - start[1]]
+
+    let angle = Math.abs(Math.atan2(direction[0] * toPoint[1] - direction[1] * toPoint[0], direction[0] * toPoint[0] + direction[1] * toPoint[1]))
+    return Math.min(angle, Math.PI - angle)
+}
+
+/**
+ * Groups segments by the vanishing point they point at, with the largest total length first.
+ * @returns {number[][]} Lists of segment indices.
+ */
+function clusterSegments(segments) {
+    let lengths = segments.map(([start, end]) => Math.hypot(end[0] - start[0], end[1] - start[1]))
+    let lines = segments.map(([start, end]) => cross([...start, 1], [...end, 1]))
+
+    let remaining = segments.map((segment, i) => i)
+    let clusters = []
+
+    while (clusters.length < maxClusters && remaining.length >= 2) {
+        // Sample from the longest lines, which are the most reliable
+        let candidates = remaining.slice().sort((a, b) => lengths[b] - lengths[a]).slice(0, 100)
+
+        let best = []
+        let bestScore = 0
+        for (let iteration = 0; iteration < ransacIterations; iteration++) {
+            let a = candidates[Math.floor(Math.random() * candidates.length)]
+            let b = candidates[Math.floor(Math.random() * candidates.length)]
+            if (a === b) continue
+
+            let vanishingPoint = cross(lines[a], lines[b])
+            let inliers = remaining.filter(i => vanishingPointAngle(segments[i], vanishingPoint) < inlierAngle)
+            let score = inliers.reduce((sum, i) => sum + lengths[i], 0)
+
+            if (score > bestScore) {
+                bestScore = score
+                best = inliers
+            }
+        }
+
+        if (best.length < 2) break
+
+        clusters.push(best)
+        remaining = remaining.filter(i => !best.includes(i))
+    }
+
+    return clusters
+}
+
+self.onmessage = event => {
+    let {width, height, pixels} = event.data
+
+    let segments = findSegments(toGray(pixels, width, height), width, height)
+    let clusters = clusterSegments(segments)
+
+    // Pixels to UV's
+    let halfLongest = Math.max(width, height) / 2
+    let toUV = point => [(point[0] - width / 2) / halfLongest, (height / 2 - point[1]) / halfLongest]
+
+    self.postMessage({
+        segments: segments.map(segment => segment.map(toUV)),
+        clusters: clusters
+    })
+}
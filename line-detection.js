@@ -0,0 +1,142 @@
+/**
+ * @file Automatic detection of lines that point towards the vanishing points.
+ *
+ * The detection itself runs in line-detection-worker.js on a smaller copy of the image.
+ * The groups of lines it finds are matched to the vanishing points the user has set up,
+ * so that rough guides decide which group belongs to which axis.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// The longest side of the image the lines are detected in, in pixels
+const detectionSize = 1000
+// How many of the longest lines to keep for each vanishing point
+const maxDetectedLines = 8
+
+let detectionWorker = null
+
+
+/**
+ * Returns the pixels of the image, scaled down so that the longest side is at most detectionSize.
+ * @returns {ImageData}
+ */
+function getDetectionImageData() {
+    let scale = Math.min(1, detectionSize / Math.max(img.naturalWidth, img.naturalHeight))
+    let width = Math.round(img.naturalWidth * scale)
+    let height = Math.round(img.naturalHeight * scale)
+
+    let detectionCanvas = document.createElement("canvas")
+    detectionCanvas.width = width
+    detectionCanvas.height = height
+
+    let detectionCtx = detectionCanvas.getContext("2d")
+    detectionCtx.drawImage(img, 0, 0, width, height)
+    return detectionCtx.getImageData(0, 0, width, height)
+}
+
+/**
+ * Returns the mean angle in degrees between the lines of a group and a vanishing point, weighted by length.
+ * @param {number[][][]} segments
+ * @param {number[]} vanishingPoint
+ */
+function getClusterResidual(segments, vanishingPoint) {
+    let total = 0
+    let sum = 0
+    segments.forEach(segment => {
+        let length = distanceToPoint(...segment)
+        total += length
+        sum += getResidual(segment, vanishingPoint) * length
+    })
+    return sum / total
+}
+
+/**
+ * Decides which group of lines belongs to which vanishing point.
+ * Each vanishing point gets the group that fits it best, and if they haven't been solved, the largest groups are used in order.
+ * @param {number[][][][]} clusters Groups of segments, largest first.
+ * @param {number} count The number of vanishing points that use lines.
+ * @returns {number[][][][]} The group of each vanishing point.
+ */
+function assignClusters(clusters, count) {
+    let vanishingPoints = calcResults.vanishingPoints || []
+    let remaining = clusters.slice()
+
+    let assigned = []
+    for (let i = 0; i < count; i++) {
+        let vp = vanishingPoints[i]
+        let best = remaining[0]
+
+        if (vp && isFinite(vp[0]) && isFinite(vp[1])) {
+            let residuals = remaining.map(segments => getClusterResidual(segments, vp))
+            best = remaining[residuals.indexOf(Math.min(...residuals))]
+        }
+
+        assigned.push(best)
+        remaining.splice(remaining.indexOf(best), 1)
+    }
+    return assigned
+}
+
+/**
+ * Replaces the corners and line segments with the longest of the detected lines.
+ * @param {object} result The message from the worker, with segments as UV's and clusters as lists of segment indices.
+ */
+function applyDetectedLines(result) {
+    // In 1 vanishing point mode, only the first vanishing point uses lines
+    let count = getMode() === 1 ? 1 : getMode()
+
+    let clusters = result.clusters.map(indices => indices.map(i => result.segments[i]))
+    if (clusters.length < count) {
+        alert(`Found lines towards ${clusters.length} vanishing point${clusters.length === 1 ? "" : "s"}, but ${count} are needed. Place the lines by hand instead.`)
+        return
+    }
+
+    let before = {corners: corners, lineSegments: lineSegments}
+
+    corners = []
+    lineSegments = []
+    assignClusters(clusters, count).forEach((segments, axisIndex) => {
+        segments.slice()
+            .sort((a, b) => distanceToPoint(...b) - distanceToPoint(...a))
+            .slice(0, maxDetectedLines)
+            .forEach(([start, end]) => lineSegments.push(new LineSegment(axisIndex, start, end)))
+    })
+
+    addToHistory(new ReplaceLinesCommand(before, {corners: corners, lineSegments: lineSegments}))
+    refresh()
+}
+
+/**
+ * Detects lines in the image and uses them as the lines of the vanishing points.
+ */
+function detectLines() {
+    if (!imageFile || detectionWorker) return
+
+    let button = document.getElementById("detect-lines")
+    button.disabled = true
+
+    let imageData = getDetectionImageData()
+    detectionWorker = new Worker("line-detection-worker.js")
+
+    function finish() {
+        detectionWorker.terminate()
+        detectionWorker = null
+        button.disabled = false
+    }
+
+    detectionWorker.onmessage = event => {
+        finish()
+        applyDetectedLines(event.data)
+    }
+    detectionWorker.onerror = event => {
+        finish()
+        alert(`Could not detect lines: ${event.message}`)
+    }
+
+    detectionWorker.postMessage({
+        width: imageData.width,
+        height: imageData.height,
+        pixels: imageData.data
+    }, [imageData.data.buffer])
+}
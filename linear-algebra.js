@@ -1,5 +1,7 @@
 /**
  * @file Matrix and Vector operations.
+ *
+ * An ES module. The page makes its exports global in modules.js.
  * 
  * @copyright Oscar Litorell 2019
  */
@@ -11,7 +13,7 @@
  * @property {number} n - The width of the matrix. (read-only)
  * @property {Matrix} transpose - The transpose of the matrix. (read-only)
  */
-class Matrix {
+export class Matrix {
     /**
      * Is constructed with an array of arrays.
      * @param {number[][]} [matrix] - An array of arrays representing the matrix.
@@ -150,11 +152,12 @@ class Matrix {
     static multiplication(matrix1, matrix2) {
         let m = matrix1.matrix.length;
         let n = matrix2.matrix[0].length;
+        let inner = matrix2.matrix.length;
         let result = Matrix.fromSize(n, m);
 
         for (let i = 0; i < n; i++) {
-            let vector = new Array(n);
-            for (let j = 0; j < m; j++) {
+            let vector = new Array(inner);
+            for (let j = 0; j < inner; j++) {
                 vector[j] = matrix2.matrix[j][i];
             }
             vector = matrix1.transformVector(vector);
@@ -166,6 +169,20 @@ class Matrix {
         return result;
     }
 
+    /**
+     * Finds the vector x that minimizes the squared length of (matrix * x - vector),
+     * by solving the normal equations.
+     * @param {Matrix} matrix - An m * n matrix, where m >= n.
+     * @param {number[]} vector - A vector of length m.
+     * @returns {number[]} A vector of length n.
+     */
+    static leastSquares(matrix, vector) {
+        let transpose = matrix.transpose;
+        let normal = Matrix.multiplication(transpose, matrix);
+
+        return normal.inverse.transformVector(transpose.transformVector(vector));
+    }
+
     /**
      * Returns a copy of the matrix.
      */
@@ -207,14 +224,14 @@ class Matrix {
 
         // Bottom left corner zeros
         for (let col = 0; col < cols; col++) {
-            if (old.matrix[col][col] === 0) {
-                for (let i = col; i < cols; i++) {
-                    if (old.matrix[i][i] !== 0) {
-                        old.swap(i, col)
-                        newMatrix.swap(i, col)
-                        break
-                    }
-                }
+            // Divide by the largest value left in the column, since values close to 0 lose precision
+            let pivot = col
+            for (let i = col + 1; i < rows; i++) {
+                if (Math.abs(old.matrix[i][col]) > Math.abs(old.matrix[pivot][col])) pivot = i
+            }
+            if (pivot !== col) {
+                old.swap(pivot, col)
+                newMatrix.swap(pivot, col)
             }
             let value = old.matrix[col][col]
 
@@ -245,7 +262,7 @@ class Matrix {
  * Contains static vector operation methods.
  * @hideconstructor
  */
-class Vector extends Array {
+export class Vector extends Array {
     /**
      * Add two vectors.
      * @param {number[]} vector1 
@@ -309,6 +326,15 @@ class Vector extends Array {
         return vector.map(x => x * c)
     }
 
+    /**
+     * Returns the dot product of two vectors
+     * @param {number[]} vector1 
+     * @param {number[]} vector2 
+     */
+    static dotProduct(vector1, vector2) {
+        return vector1.reduce((prev, curr, i) => prev + curr * vector2[i], 0)
+    }
+
     /**
      * Returns the cross product of two 3-dimensional vectors
      * @param {number[]} vector1 
@@ -0,0 +1,149 @@
+/**
+ * @file Measuring distances between points in the photo that lie on one of the world planes through the origin.
+ *
+ * The points are placed in the photo, and found in the world by following the ray from the camera
+ * through them until it hits the plane. Distances are in the same units as the distance to the origin or the reference length.
+ * The points, planes and distances are shown and exported in the world convention chosen in the panel, with its units.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Measured distances, with the plane they are on ("xy", "xz" or "yz") and two UV's in the photo
+let measurements = []
+
+// The measurement being placed by clicking on the canvas, until it has both points
+let newMeasurement = null
+
+const measurementColor = "#4dd0e1"
+
+/**
+ * Finds where the ray from the camera through a point in the photo hits a world plane through the origin.
+ * @param {number[]} point UV's in the photo.
+ * @param {string} plane "xy", "xz" or "yz"
+ * @returns {number[]|null} World coordinates, or null if the ray doesn't hit the plane in front of the camera.
+ */
+function getPlanePoint(point, plane) {
+    return intersectPlane(calcResults, point, plane)
+}
+
+/**
+ * Returns the two points of a measurement in the world, in the chosen world convention, or null if they can't be found.
+ * @param {{plane: string, points: number[][]}} measurement
+ */
+function getMeasurementPoints(measurement) {
+    if (!calcResults.worldTransform) return null
+
+    let points = measurement.points.map(point => getPlanePoint(point, measurement.plane))
+    return points.includes(null) ? null : points.map(point => convertPoint(point, getWorldConvention()))
+}
+
+/**
+ * Returns the name of the plane of a measurement in the chosen world convention, like "XZ".
+ * @param {{plane: string, points: number[][]}} measurement
+ */
+function getMeasurementPlane(measurement) {
+    return convertPlane(measurement.plane, getWorldConvention()).toUpperCase()
+}
+
+/**
+ * Returns the distance between the points of a measurement in the world, or null if it can't be measured.
+ * @param {{plane: string, points: number[][]}} measurement
+ */
+function getMeasurementDistance(measurement) {
+    let points = getMeasurementPoints(measurement)
+    return points && distanceToPoint(...points)
+}
+
+/**
+ * Starts placing a new measurement on the plane chosen in the panel, or stops if one is being placed.
+ */
+function toggleMeasuring() {
+    if (newMeasurement) {
+        newMeasurement = null
+    } else {
+        newMeasurement = {plane: document.getElementById("measure-plane").value, points: []}
+    }
+    updateMeasurementList()
+    draw()
+}
+
+/**
+ * Adds a point to the measurement being placed, which is finished when it has two.
+ * @param {number[]} point UV's in the photo.
+ */
+function addMeasurementPoint(point) {
+    newMeasurement.points.push(point)
+
+    if (newMeasurement.points.length === 2) {
+        measurements.push(newMeasurement)
+        addToHistory(new ListItemCommand(measurements, newMeasurement, true))
+        newMeasurement = null
+    }
+    refresh()
+}
+
+/**
+ * Removes the most recent measurement.
+ */
+function removeMeasurement() {
+    if (measurements.length === 0) return
+
+    addToHistory(new ListItemCommand(measurements, measurements.pop(), false))
+    refresh()
+}
+
+function drawMeasurement(measurement) {
+    let pointsPx = measurement.points.map(point => UVToPixelsAbsolute(...toView(point)))
+
+    if (pointsPx.length === 2) {
+        let [start, end] = measurement.points.map(toView)
+        drawLineUV(...start, ...end, measurementColor, 1.5)
+
+        let distance = getMeasurementDistance(measurement)
+        if (distance !== null) {
+            ctx.font = "12px Roboto, sans-serif"
+            ctx.fillStyle = measurementColor
+            ctx.fillText(`${distance.toFixed(3)} ${getWorldConvention().unitSymbol}`, (pointsPx[0][0] + pointsPx[1][0]) / 2 + 6, (pointsPx[0][1] + pointsPx[1][1]) / 2 - 6)
+        }
+    }
+
+    pointsPx.forEach(pointPx => drawCircle(...pointPx, pointRadius, measurementColor))
+}
+
+function drawMeasurements() {
+    measurements.forEach(drawMeasurement)
+    if (newMeasurement) drawMeasurement(newMeasurement)
+}
+
+/**
+ * Lists the measured distances in the panel.
+ */
+function updateMeasurementList() {
+    let button = document.getElementById("measure-button")
+    button.value = newMeasurement ? "Click two points…" : "Measure"
+
+    let unit = getWorldConvention().unitSymbol
+    let list = document.getElementById("measurement-list")
+    list.innerText = measurements.map((measurement, i) => {
+        let distance = getMeasurementDistance(measurement)
+        return `${i + 1}. ${distance === null ? "-" : `${distance.toFixed(3)} ${unit}`} (${getMeasurementPlane(measurement)})`
+    }).join("\n")
+}
+
+/**
+ * Downloads the measurements as CSV, with the world coordinates of the points in the chosen world convention.
+ */
+function exportMeasurements() {
+    let unit = getWorldConvention().unitSymbol
+    let columns = ["x1", "y1", "z1", "x2", "y2", "z2", "distance"].map(column => `${column} (${unit})`)
+    let rows = [["measurement", "plane", ...columns].join(",")]
+
+    measurements.forEach((measurement, i) => {
+        let points = getMeasurementPoints(measurement)
+        let values = points ? [...points[0], ...points[1], distanceToPoint(...points)] : Array(7).fill("")
+        rows.push([i + 1, getMeasurementPlane(measurement).toLowerCase(), ...values].join(","))
+    })
+
+    downloadFile("measurements.csv", rows.join("\n") + "\n", "text/csv")
+}
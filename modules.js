@@ -0,0 +1,23 @@
+/**
+ * @file Makes the exports of the ES modules global, for the classic scripts of the page.
+ *
+ * Module scripts run once the page has been parsed, so the classic scripts are deferred,
+ * which makes them run after this one, in the order they are in the page.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Matrix, Vector} from "./linear-algebra.js"
+import {Distortion, undistortImage} from "./lens-distortion.js"
+import {rotationOrders, matrixFromEuler, eulerFromMatrix, alternativeEuler, quaternionFromMatrix, axisAngleFromMatrix} from "./rotation.js"
+import {worldConventions, convertPoint, convertPlane, convertCameraMatrix} from "./conventions.js"
+import {solveCalibration, getResidual, projectToImage, projectFromImage, intersectPlane, getBlenderCommand} from "./calibration.js"
+
+Object.assign(window, {
+    Matrix, Vector,
+    Distortion, undistortImage,
+    rotationOrders, matrixFromEuler, eulerFromMatrix, alternativeEuler, quaternionFromMatrix, axisAngleFromMatrix,
+    worldConventions, convertPoint, convertPlane, convertCameraMatrix,
+    solveCalibration, getResidual, projectToImage, projectFromImage, intersectPlane, getBlenderCommand
+})
@@ -0,0 +1,185 @@
+/**
+ * @file Grids and boxes drawn into the photo through the solved camera, to check that the solve lines up with the scene.
+ *
+ * Everything is placed in world units, relative to the origin. Lines are split into short pieces
+ * before they are projected, so that they bend like the lens distortion does.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Boxes placed in the scene, with the position of their lowest corner and their size along each world axis
+let boxes = []
+
+const overlayColor = "#ffffff80"
+const boxColor = "#ffa64d"
+const overlaySubdivisions = 16
+
+/**
+ * Returns the coordinates of a world point relative to the camera. (x is right, y is up and z is backwards)
+ * @param {number[]} point
+ */
+function worldToCamera(point) {
+    return calcResults.worldTransform.transformVector(Vector.subtraction(point, calcResults.location))
+}
+
+/**
+ * Cuts off the part of a line that is behind the camera. Returns null if all of it is.
+ * @param {number[]} start Camera coordinates.
+ * @param {number[]} end Camera coordinates.
+ */
+function clipToCamera(start, end) {
+    let near = -1e-3 * calcResults.distance
+    let inFront = point => point[2] < near
+
+    if (!inFront(start) && !inFront(end)) return null
+    if (inFront(start) && inFront(end)) return [start, end]
+
+    let t = (near - start[2]) / (end[2] - start[2])
+    let crossing = Vector.addition(start, Vector.scalarMultiplication(Vector.subtraction(end, start), t))
+    return inFront(start) ? [start, crossing] : [crossing, end]
+}
+
+/**
+ * Draws a straight line in the world onto the photo.
+ * @param {number[]} start World coordinates.
+ * @param {number[]} end World coordinates.
+ * @param {string} color
+ * @param {number} width
+ */
+function drawWorldLine(start, end, color, width=1) {
+    let clipped = clipToCamera(worldToCamera(start), worldToCamera(end))
+    if (!clipped) return
+
+    let [a, b] = clipped
+    let step = Vector.scalarMultiplication(Vector.subtraction(b, a), 1 / overlaySubdivisions)
+
+    ctx.beginPath()
+    ctx.strokeStyle = color
+    ctx.lineWidth = width
+    for (let i = 0; i <= overlaySubdivisions; i++) {
+        let uv = projectPointLocal(Vector.addition(a, Vector.scalarMultiplication(step, i)))
+        ctx.lineTo(...UVToPixelsAbsolute(...toView(calcResults.distortion.distort(uv))))
+    }
+    ctx.stroke()
+}
+
+/**
+ * Draws a grid of lines through the origin on one of the world planes, with the axes in their colors.
+ */
+function drawGrid() {
+    let plane = document.getElementById("grid-plane").value
+    let spacing = Number(document.getElementById("grid-spacing").value)
+    let count = Math.round(Number(document.getElementById("grid-size").value))
+    if (!(spacing > 0) || !(count > 0)) return
+
+    let axes = plane.split("").map(axis => "xyz".indexOf(axis))
+    let extent = count * spacing
+
+    // Lines along each of the two axes of the plane
+    axes.forEach((along, i) => {
+        let across = axes[1 - i]
+
+        for (let j = -count; j <= count; j++) {
+            let start = [0, 0, 0]
+            let end = [0, 0, 0]
+            start[across] = end[across] = j * spacing
+            start[along] = -extent
+            end[along] = extent
+
+            if (j === 0) {
+                drawWorldLine(start, end, axisColors["xyz"[along]], 1.5)
+            } else {
+                drawWorldLine(start, end, overlayColor)
+            }
+        }
+    })
+}
+
+/**
+ * Draws the edges of a box.
+ * @param {{position: number[], size: number[]}} box
+ */
+function drawBox(box) {
+    let vertices = []
+    for (let i = 0; i < 8; i++) {
+        vertices.push([0, 1, 2].map(axis => box.position[axis] + ((i >> axis) & 1) * box.size[axis]))
+    }
+
+    // Vertices whose indices differ in one bit share an edge
+    for (let i = 0; i < 8; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            let j = i | (1 << axis)
+            if (j !== i) drawWorldLine(vertices[i], vertices[j], boxColor, 1.5)
+        }
+    }
+}
+
+function drawOverlays() {
+    if (document.getElementById("show-grid").checked) drawGrid()
+    boxes.forEach(drawBox)
+    drawRectifyArea()
+}
+
+/**
+ * Adds a box at the origin, one unit large.
+ */
+function addBox() {
+    let box = {position: [0, 0, 0], size: [1, 1, 1]}
+    boxes.push(box)
+    addToHistory(new ListItemCommand(boxes, box, true, updateBoxList))
+    updateBoxList()
+    draw()
+}
+
+/**
+ * Removes the most recently added box.
+ */
+function removeBox() {
+    if (boxes.length === 0) return
+
+    addToHistory(new ListItemCommand(boxes, boxes.pop(), false, updateBoxList))
+    updateBoxList()
+    draw()
+}
+
+/**
+ * Creates inputs for a vector, which change it in place.
+ * @param {string} label
+ * @param {number[]} vector
+ */
+function createVectorInputs(label, vector) {
+    let row = document.createElement("div")
+    row.className = "sensor-size"
+    row.append(`${label}:`)
+
+    vector.forEach((value, i) => {
+        let input = document.createElement("input")
+        input.type = "number"
+        input.step = "0.1"
+        input.value = value
+        input.title = "XYZ"[i]
+        input.onchange = () => {
+            vector[i] = Number(input.value)
+            draw()
+        }
+        row.append(input)
+    })
+
+    return row
+}
+
+/**
+ * Recreates the inputs of the boxes in the panel.
+ */
+function updateBoxList() {
+    let list = document.getElementById("boxes")
+    list.innerHTML = ""
+
+    boxes.forEach((box, i) => {
+        let item = document.createElement("div")
+        item.className = "box"
+        item.append(`Box ${i + 1}`, createVectorInputs("Position", box.position), createVectorInputs("Size", box.size))
+        list.append(item)
+    })
+}
@@ -0,0 +1,335 @@
+/**
+ * @file Saving and opening calibration projects as JSON files.
+ *
+ * A project holds the control points, the settings, the overlay boxes, the view and the solved results.
+ * The image is either embedded as a data URL, or referenced by its file name and SHA-256 hash.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Increase when the format changes, and teach applyProject to read the old versions.
+const projectVersion = 1
+
+// Settings saved in projects, and the ids of their inputs
+const projectSettings = {
+    mode: "mode",
+    scaleMode: "scale-mode",
+    distanceToOrigin: "distance-to-origin",
+    referenceAxis: "reference-axis",
+    referenceLength: "reference-length",
+    axis1: "axis1",
+    axis2: "axis2",
+    originMode: "origin-mode",
+    alignAxis: "align-axis",
+    frameAngle: "frame-angle",
+    sensorWidth: "sensor-width",
+    sensorHeight: "sensor-height",
+    knownFocalLength: "known-focal-length",
+    uncertaintyPixels: "uncertainty-pixels",
+    rotationOrder: "rotation-order",
+    worldConvention: "world-convention",
+    shareFocalLength: "share-focal-length",
+    manualPrincipalPoint: "manual-principal-point",
+    showUndistorted: "show-undistorted",
+    showGrid: "show-grid",
+    gridPlane: "grid-plane",
+    gridSpacing: "grid-spacing",
+    gridSize: "grid-size",
+    showRectifyArea: "show-rectify-area",
+    rectifyPlane: "rectify-plane",
+    rectifyLeft: "rectify-left",
+    rectifyBottom: "rectify-bottom",
+    rectifyWidth: "rectify-width",
+    rectifyHeight: "rectify-height",
+    rectifyPixelSize: "rectify-pixel-size"
+}
+
+// A project waiting for the user to select its image
+let pendingProject = null
+
+/**
+ * Returns the SHA-256 hash of a file as a hex string.
+ * @param {Blob} file
+ */
+async function hashFile(file) {
+    let buffer = await crypto.subtle.digest("SHA-256", await file.arrayBuffer())
+    return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, "0")).join("")
+}
+
+function readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        let reader = new FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.onerror = () => reject(reader.error)
+        reader.readAsDataURL(file)
+    })
+}
+
+function getSettingValue(elem) {
+    if (elem.type === "checkbox") return elem.checked
+    if (elem.type === "number") return Number(elem.value)
+    return elem.value
+}
+
+function setSettingValue(elem, value) {
+    if (elem.type === "checkbox") {
+        elem.checked = value
+    } else {
+        elem.value = value
+    }
+}
+
+/**
+ * Returns the values of all settings in the panel.
+ */
+function getSettings() {
+    let settings = {}
+    for (const key in projectSettings) {
+        settings[key] = getSettingValue(document.getElementById(projectSettings[key]))
+    }
+    return settings
+}
+
+/**
+ * Sets the values of the settings in the panel, shows the inputs that belong to them and refreshes.
+ * Settings that are missing are left as they are.
+ * @param {object} settings
+ */
+function setSettings(settings) {
+    for (const key in projectSettings) {
+        if (key in settings) {
+            setSettingValue(document.getElementById(projectSettings[key]), settings[key])
+        }
+    }
+
+    updateScaleMode()
+    updateMode()
+}
+
+/**
+ * Collects the current state into a project object.
+ * @param {boolean} embedImage Whether to store the image itself, instead of only its name and hash.
+ */
+async function getProject(embedImage) {
+    let settings = getSettings()
+
+    let project = {
+        version: projectVersion,
+        image: {
+            name: imageFile.name,
+            type: imageFile.type,
+            hash: await hashFile(imageFile)
+        },
+        points: {
+            origin: origin,
+            corners: corners.map(corner => corner.points),
+            horizon: horizon,
+            principalPoint: manualPrincipalPoint,
+            lineSegments: lineSegments.map(segment => ({axisIndex: segment.axisIndex, points: segment.points})),
+            straightLines: straightLines,
+            referenceSegment: referenceSegment,
+            measurements: measurements,
+            originLines: originLines,
+            alignmentLine: alignmentLine
+        },
+        settings: settings,
+        boxes: boxes,
+        view: {
+            zoomRatio: zoomRatio,
+            imageOffset: imageOffset
+        },
+        results: {
+            focalLength: calcResults.focalLength,
+            fov: calcResults.fov,
+            principalPoint: calcResults.principalPoint,
+            distance: calcResults.distance,
+            location: calcResults.targetLocation,
+            eulerRotation: calcResults.eulerRotation,
+            quaternion: calcResults.quaternion,
+            axisAngle: calcResults.axisAngle
+        }
+    }
+
+    if (embedImage) {
+        project.image.data = await readAsDataURL(imageFile)
+    }
+
+    return project
+}
+
+/**
+ * Returns why a parsed file isn't a project that can be opened, or null if it is.
+ * Only what applyProject needs is checked, so that a project is either opened completely or not at all.
+ * @param {*} project
+ */
+function getProjectError(project) {
+    if (!isObject(project) || !("version" in project)) return "This is not a Camera Aligner project."
+    if (typeof project.version !== "number" || !isFinite(project.version)) {
+        return `The project has an invalid version (${JSON.stringify(project.version)}).`
+    }
+    if (project.version > projectVersion) {
+        return `This project was saved by a newer version of Camera Aligner (project version ${project.version}).`
+    }
+
+    let missing = []
+    if (!isObject(project.image) || typeof project.image.name !== "string") missing.push("image")
+    if (!isObject(project.settings)) missing.push("settings")
+    if (!isObject(project.view) || typeof project.view.zoomRatio !== "number" || !isPoint(project.view.imageOffset)) missing.push("view")
+
+    let points = project.points
+    if (!isObject(points)) {
+        missing.push("points")
+    } else {
+        if (!isPoint(points.origin)) missing.push("points.origin")
+        if (!Array.isArray(points.corners) || !points.corners.every(corner => Array.isArray(corner) && corner.length === 4 && corner.every(isPoint))) {
+            missing.push("points.corners")
+        }
+        if (!isLine(points.horizon)) missing.push("points.horizon")
+        if (!Array.isArray(points.lineSegments) || !points.lineSegments.every(segment => isObject(segment) && isLine(segment.points))) {
+            missing.push("points.lineSegments")
+        }
+        if (!Array.isArray(points.straightLines) || !points.straightLines.every(line => Array.isArray(line) && line.every(isPoint))) {
+            missing.push("points.straightLines")
+        }
+        if (!isLine(points.referenceSegment)) missing.push("points.referenceSegment")
+
+        // Older projects don't have these
+        if (points.measurements !== undefined && !(Array.isArray(points.measurements) && points.measurements.every(measurement => {
+            return isObject(measurement) && typeof measurement.plane === "string" && isLine(measurement.points)
+        }))) {
+            missing.push("points.measurements")
+        }
+        if (points.originLines !== undefined && !(Array.isArray(points.originLines) && points.originLines.length === 2 && points.originLines.every(isLine))) {
+            missing.push("points.originLines")
+        }
+        if (points.alignmentLine !== undefined && !isLine(points.alignmentLine)) missing.push("points.alignmentLine")
+    }
+
+    let isVector = value => Array.isArray(value) && value.length === 3 && value.every(x => typeof x === "number")
+    if (project.boxes !== undefined && !(Array.isArray(project.boxes) && project.boxes.every(box => isObject(box) && isVector(box.position) && isVector(box.size)))) {
+        missing.push("boxes")
+    }
+
+    return missing.length ? `The project is damaged, these parts are missing or invalid: ${missing.join(", ")}.` : null
+}
+
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+}
+
+function isPoint(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(x => typeof x === "number" && isFinite(x))
+}
+
+function isLine(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(isPoint)
+}
+
+/**
+ * Restores the points, settings and view of a project, which has been checked with getProjectError.
+ * The image must already be loaded.
+ * @param {object} project
+ */
+function applyProject(project) {
+    try {
+        restoreProject(project)
+    } catch (error) {
+        alert(`Could not open the project: ${error.message}`)
+    }
+}
+
+function restoreProject(project) {
+    let points = project.points
+    // Made first, so that nothing is changed if they fail
+    let newCorners = points.corners.map(cornerPoints => new Corner(...cornerPoints))
+    let newLineSegments = points.lineSegments.map(segment => new LineSegment(segment.axisIndex, ...segment.points))
+
+    origin = points.origin
+    corners = newCorners
+    horizon = points.horizon
+    manualPrincipalPoint = points.principalPoint || [0, 0]
+    lineSegments = newLineSegments
+    straightLines = points.straightLines
+    referenceSegment = points.referenceSegment
+    measurements = points.measurements || []
+    // Older projects don't have these, and only use them when their settings are changed
+    originLines = points.originLines || originLines
+    alignmentLine = points.alignmentLine || alignmentLine
+
+    // Projects saved before boxes were added have none
+    boxes = project.boxes || []
+    updateBoxList()
+
+    zoomRatio = project.view.zoomRatio
+    imageOffset = project.view.imageOffset
+
+    setSettings(project.settings)
+    clearHistory()
+}
+
+async function saveProject() {
+    if (!imageFile) return
+
+    let embedImage = document.getElementById("embed-image").checked
+    let project = await getProject(embedImage)
+    let name = imageFile.name.replace(/\.[^.]*$/, "")
+
+    downloadFile(`${name}.camera-aligner.json`, JSON.stringify(project, null, 2), "application/json")
+}
+
+/**
+ * Opens a project file. If the image isn't embedded and isn't the one already loaded, the user is asked to select it.
+ * @param {File} file
+ */
+async function openProject(file) {
+    if (!file) return
+
+    let project
+    try {
+        project = JSON.parse(await file.text())
+    } catch (error) {
+        alert(`Could not read the project: ${error.message}`)
+        return
+    }
+
+    let error = getProjectError(project)
+    if (error) {
+        alert(error)
+        return
+    }
+
+    if (project.image.data) {
+        let blob
+        try {
+            blob = await (await fetch(project.image.data)).blob()
+        } catch (error) {
+            alert(`Could not read the image in the project: ${error.message}`)
+            return
+        }
+        let image = new File([blob], project.image.name, {type: project.image.type})
+        uploadImage(image, () => applyProject(project))
+    } else if (imageFile && await hashFile(imageFile) === project.image.hash) {
+        applyProject(project)
+    } else {
+        pendingProject = project
+        alert(`Select the image "${project.image.name}" that the project was made for.`)
+        document.getElementById("project-image-file").click()
+    }
+}
+
+/**
+ * Loads the image of a project that is waiting for it, and warns if it isn't the same image.
+ * @param {File} file
+ */
+async function openProjectImage(file) {
+    let project = pendingProject
+    if (!file || !project) return
+    pendingProject = null
+
+    if (await hashFile(file) !== project.image.hash) {
+        if (!confirm(`This is not the image the project was saved with ("${project.image.name}"). Open it anyway?`)) return
+    }
+
+    uploadImage(file, () => applyProject(project))
+}
@@ -0,0 +1,82 @@
+/**
+ * @file Web Worker that resamples the photo into a front-on view of a rectangle on a world plane.
+ *
+ * Receives {source, width, height, homography, distortion, columns, rows}:
+ * source is the RGBA data of the photo, homography maps coordinates on the plane to homogeneous UV's
+ * without distortion, and distortion holds k1 and k2. Output pixel (0, 0) is at plane coordinates (0, rows),
+ * so the first axis of the plane points right and the second up. Each output pixel is the mean of a few
+ * bilinear samples, so that large photos aren't aliased when they are shrunk.
+ * Replies with {pixels}, the RGBA data of the result. Runs as a module worker, to import lens-distortion.js.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Distortion} from "./lens-distortion.js"
+
+// Samples per output pixel along each side
+const supersampling = 2
+
+self.onmessage = event => {
+    let {source, width, height, homography, distortion, columns, rows} = event.data
+    let lens = new Distortion(distortion.k1, distortion.k2)
+    let halfLongest = Math.max(width, height) / 2
+    let pixels = new Uint8ClampedArray(columns * rows * 4)
+
+    let sum = [0, 0, 0, 0]
+
+    // Adds the color of the photo at image pixel coordinates to sum, and returns whether it was inside the photo
+    function sample(x, y) {
+        x -= 0.5
+        y -= 0.5
+        let x0 = Math.floor(x)
+        let y0 = Math.floor(y)
+        if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) return false
+
+        let fx = x - x0
+        let fy = y - y0
+        let weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy]
+        let indices = [y0 * width + x0, y0 * width + x0 + 1, (y0 + 1) * width + x0, (y0 + 1) * width + x0 + 1]
+
+        for (let c = 0; c < 4; c++) {
+            for (let i = 0; i < 4; i++) {
+                sum[c] += source[indices[i] * 4 + c] * weights[i]
+            }
+        }
+        return true
+    }
+
+    let [h0, h1, h2] = homography
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            sum = [0, 0, 0, 0]
+            let count = 0
+
+            for (let sy = 0; sy < supersampling; sy++) {
+                for (let sx = 0; sx < supersampling; sx++) {
+                    let s = column + (sx + 0.5) / supersampling
+                    let t = rows - row - (sy + 0.5) / supersampling
+
+                    // Behind the camera
+                    let w = h2[0] * s + h2[1] * t + h2[2]
+                    if (w <= 0) continue
+
+                    let u = (h0[0] * s + h0[1] * t + h0[2]) / w
+                    let v = (h1[0] * s + h1[1] * t + h1[2]) / w
+                    let factor = lens.factor(u * u + v * v)
+
+                    if (sample(u * factor * halfLongest + width / 2, height / 2 - v * factor * halfLongest)) count++
+                }
+            }
+
+            if (count === 0) continue
+
+            let to = (row * columns + column) * 4
+            for (let c = 0; c < 4; c++) {
+                pixels[to + c] = sum[c] / count
+            }
+        }
+    }
+
+    self.postMessage({pixels: pixels}, [pixels.buffer])
+}
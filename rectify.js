@@ -0,0 +1,148 @@
+/**
+ * @file Rectifying a rectangle on a world plane into a front-on orthographic image, like a texture of a floor or a wall.
+ *
+ * The resampling runs in rectify-worker.js. The rectangle starts at a corner on the plane and extends
+ * along its two axes, and the size of the result is decided by how large each pixel is in world units.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+const maxRectifiedPixels = 50e6
+const rectifyAreaColor = "#b388ff"
+
+let rectifyWorker = null
+
+/**
+ * Returns the rectangle to rectify, from the inputs in the panel.
+ * @returns {{plane: string, corner: number[], size: number[], pixelSize: number}}
+ */
+function getRectifyArea() {
+    let value = id => Number(document.getElementById(id).value)
+    return {
+        plane: document.getElementById("rectify-plane").value,
+        corner: [value("rectify-left"), value("rectify-bottom")],
+        size: [value("rectify-width"), value("rectify-height")],
+        pixelSize: value("rectify-pixel-size")
+    }
+}
+
+/**
+ * Returns a point on a world plane in world coordinates.
+ * @param {string} plane "xy", "xz" or "yz"
+ * @param {number[]} point Coordinates along the two axes of the plane.
+ */
+function planeToWorld(plane, point) {
+    let world = [0, 0, 0]
+    world["xyz".indexOf(plane[0])] = point[0]
+    world["xyz".indexOf(plane[1])] = point[1]
+    return world
+}
+
+/**
+ * Returns the homography from pixels of the rectified image, counted from its bottom left corner,
+ * to homogeneous UV's without distortion.
+ * @param {object} area
+ * @returns {number[][]}
+ */
+function getRectifyHomography(area) {
+    let m = calcResults.worldTransform
+    let along = m.transformVector(planeToWorld(area.plane, [area.pixelSize, 0]))
+    let across = m.transformVector(planeToWorld(area.plane, [0, area.pixelSize]))
+    let corner = worldToCamera(planeToWorld(area.plane, area.corner))
+
+    // The homogeneous coordinate is the distance in front of the camera
+    let distance = calcResults.focalLength / calcResults.sensorLength * 2
+    let pp = calcResults.principalPoint
+    let intrinsics = new Matrix([
+        [distance, 0, -pp[0]],
+        [0, distance, -pp[1]],
+        [0, 0, -1]
+    ])
+
+    return Matrix.multiplication(intrinsics, new Matrix([along, across, corner]).transpose).matrix
+}
+
+function drawRectifyArea() {
+    if (!document.getElementById("show-rectify-area").checked) return
+
+    let area = getRectifyArea()
+    let [left, bottom] = area.corner
+    let right = left + area.size[0]
+    let top = bottom + area.size[1]
+
+    let areaCorners = [[left, bottom], [right, bottom], [right, top], [left, top]].map(point => planeToWorld(area.plane, point))
+    areaCorners.forEach((corner, i) => drawWorldLine(corner, areaCorners[(i + 1) % 4], rectifyAreaColor, 2))
+}
+
+/**
+ * Returns the pixels of the whole source image.
+ * @returns {ImageData}
+ */
+function getSourceImageData() {
+    let sourceCanvas = document.createElement("canvas")
+    sourceCanvas.width = img.naturalWidth
+    sourceCanvas.height = img.naturalHeight
+
+    let sourceCtx = sourceCanvas.getContext("2d")
+    sourceCtx.drawImage(img, 0, 0)
+    return sourceCtx.getImageData(0, 0, img.naturalWidth, img.naturalHeight)
+}
+
+/**
+ * Resamples the rectangle into a front-on image and downloads it as PNG.
+ */
+function rectifyPlane() {
+    if (!calcResults.worldTransform || rectifyWorker) return
+
+    let area = getRectifyArea()
+    let columns = Math.round(area.size[0] / area.pixelSize)
+    let rows = Math.round(area.size[1] / area.pixelSize)
+
+    if (!(columns > 0 && rows > 0)) {
+        alert("The rectangle must be at least one pixel large.")
+        return
+    }
+    if (columns * rows > maxRectifiedPixels) {
+        alert(`The result would be ${columns} x ${rows} pixels. Use a larger pixel size.`)
+        return
+    }
+
+    let button = document.getElementById("rectify-button")
+    button.disabled = true
+
+    let sourceData = getSourceImageData()
+    rectifyWorker = new Worker("rectify-worker.js", {type: "module"})
+
+    function finish() {
+        rectifyWorker.terminate()
+        rectifyWorker = null
+        button.disabled = false
+    }
+
+    rectifyWorker.onmessage = event => {
+        finish()
+
+        let resultCanvas = document.createElement("canvas")
+        resultCanvas.width = columns
+        resultCanvas.height = rows
+        resultCanvas.getContext("2d").putImageData(new ImageData(event.data.pixels, columns, rows), 0, 0)
+
+        let name = imageFile.name.replace(/\.[^.]*$/, "")
+        resultCanvas.toBlob(blob => downloadFile(`${name}-${area.plane}.png`, blob, "image/png"), "image/png")
+    }
+    rectifyWorker.onerror = event => {
+        finish()
+        alert(`Could not rectify the plane: ${event.message}`)
+    }
+
+    rectifyWorker.postMessage({
+        source: sourceData.data,
+        width: sourceData.width,
+        height: sourceData.height,
+        homography: getRectifyHomography(area),
+        distortion: {k1: calcResults.distortion.k1, k2: calcResults.distortion.k2},
+        columns: columns,
+        rows: rows
+    }, [sourceData.data.buffer])
+}
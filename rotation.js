@@ -0,0 +1,123 @@
+/**
+ * @file Decomposing rotation matrices into Euler angles, quaternions and axis-angle.
+ *
+ * Euler angles are Tait-Bryan angles about the fixed world axes. An order like "XYZ" means the X rotation
+ * is applied first and the Z rotation last, so the matrix is Z * Y * X, which is the convention of Blender.
+ * The same angles in the reversed order describe the rotation about the rotated (intrinsic) axes instead.
+ * Angles are always listed by axis, [x, y, z], whatever the order.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import {Matrix} from "./linear-algebra.js"
+
+export const rotationOrders = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"]
+
+// Below this cosine of the middle angle, the rotation counts as gimbal lock
+const gimbalLockEpsilon = 1e-8
+
+/**
+ * Returns the axis indices of an order, in the order the rotations are applied.
+ * @param {string} order
+ */
+function getOrderAxes(order) {
+    return order.split("").map(axis => "XYZ".indexOf(axis))
+}
+
+/**
+ * Returns the rotation matrix of Euler angles.
+ * @param {number[]} angles Angles in radians about the x, y and z axes.
+ * @param {string} order
+ * @returns {Matrix}
+ */
+export function matrixFromEuler(angles, order) {
+    return getOrderAxes(order).reduce((matrix, axis) => {
+        return Matrix.multiplication(Matrix.rotation3D(axis, angles[axis]), matrix)
+    }, Matrix.identity(3))
+}
+
+/**
+ * Returns the Euler angles in radians of a rotation matrix.
+ * The middle angle is between -90 and 90 degrees. In gimbal lock, when it is ±90 degrees,
+ * the first and last rotations are about the same axis, so the last angle is set to 0.
+ * @param {Matrix} matrix A matrix with a 3 * 3 rotation in the top left corner.
+ * @param {string} order
+ * @returns {number[]} Angles about the x, y and z axes.
+ */
+export function eulerFromMatrix(matrix, order) {
+    let m = matrix.matrix
+    let [i, j, k] = getOrderAxes(order)
+    // The signs flip for the orders that aren't cyclic, like XZY
+    let parity = (j - i + 3) % 3 === 1 ? 1 : -1
+
+    let angles = [0, 0, 0]
+    let cosine = Math.hypot(m[k][j], m[k][k])
+    angles[j] = Math.atan2(-parity * m[k][i], cosine)
+
+    if (cosine > gimbalLockEpsilon) {
+        angles[i] = Math.atan2(parity * m[k][j], m[k][k])
+        angles[k] = Math.atan2(parity * m[j][i], m[i][i])
+    } else {
+        angles[i] = Math.atan2(-parity * m[j][k], m[j][j])
+    }
+
+    return angles
+}
+
+/**
+ * Returns the other Euler angles of the same rotation, with the middle angle beyond ±90 degrees.
+ * @param {number[]} angles Angles in degrees about the x, y and z axes.
+ * @param {string} order
+ */
+export function alternativeEuler(angles, order) {
+    let [i, j, k] = getOrderAxes(order)
+    let alternative = []
+    alternative[i] = angles[i] + 180
+    alternative[j] = 180 - angles[j]
+    alternative[k] = angles[k] + 180
+    return alternative
+}
+
+/**
+ * Returns the unit quaternion of a rotation matrix, with w >= 0.
+ * @param {Matrix} matrix A matrix with a 3 * 3 rotation in the top left corner.
+ * @returns {number[]} [w, x, y, z]
+ */
+export function quaternionFromMatrix(matrix) {
+    let m = matrix.matrix
+    let trace = m[0][0] + m[1][1] + m[2][2]
+    let quaternion
+
+    if (trace > 0) {
+        let s = 2 * Math.sqrt(1 + trace)
+        quaternion = [s / 4, (m[2][1] - m[1][2]) / s, (m[0][2] - m[2][0]) / s, (m[1][0] - m[0][1]) / s]
+    } else {
+        // Start from the largest diagonal element, to not divide by something close to 0
+        let i = m[0][0] > m[1][1] && m[0][0] > m[2][2] ? 0 : m[1][1] > m[2][2] ? 1 : 2
+        let j = (i + 1) % 3
+        let k = (i + 2) % 3
+        let s = 2 * Math.sqrt(1 + m[i][i] - m[j][j] - m[k][k])
+
+        quaternion = [(m[k][j] - m[j][k]) / s, 0, 0, 0]
+        quaternion[i + 1] = s / 4
+        quaternion[j + 1] = (m[j][i] + m[i][j]) / s
+        quaternion[k + 1] = (m[k][i] + m[i][k]) / s
+    }
+
+    return quaternion[0] < 0 ? quaternion.map(x => -x) : quaternion
+}
+
+/**
+ * Returns the axis and angle of a rotation matrix. The angle is between 0 and 180 degrees.
+ * Without rotation, the axis is the z axis.
+ * @param {Matrix} matrix A matrix with a 3 * 3 rotation in the top left corner.
+ * @returns {{axis: number[], angle: number}} The angle is in radians.
+ */
+export function axisAngleFromMatrix(matrix) {
+    let [w, ...vector] = quaternionFromMatrix(matrix)
+    let length = Math.hypot(...vector)
+    if (length === 0) return {axis: [0, 0, 1], angle: 0}
+
+    return {axis: vector.map(x => x / length), angle: 2 * Math.atan2(length, w)}
+}
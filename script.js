@@ -15,32 +15,69 @@ class Corner {
      * @param {number[2]} uvCenter 
      * @param {number[2]} point1 (Relative to uvCenter)
      * @param {number[2]} point2 (Relative to uvCenter)
+     * @param {number[2]} point3 (Relative to uvCenter) Only used in 3 vanishing point mode.
      */
-    constructor(uvCenter, point1, point2) {
+    constructor(uvCenter, point1, point2, point3) {
         this.uvCenter = uvCenter
         this.point1 = point1
         this.point2 = point2
+        this.point3 = point3
     }
 
     get points() {
-        return [this.uvCenter, this.point1, this.point2]
+        return [this.uvCenter, this.point1, this.point2, this.point3]
     }
 
     pointFromIndex(index) {
         if (index === 0) {
             return this.point1
         }
-        return this.point2
+        if (index === 1) {
+            return this.point2
+        }
+        return this.point3
+    }
+}
+
+class LineSegment {
+    /**
+     * A line that points towards one of the vanishing points, in addition to the corners.
+     * @param {number} axisIndex The index of the vanishing point. (0, 1, 2)
+     * @param {number[2]} start 
+     * @param {number[2]} end 
+     */
+    constructor(axisIndex, start, end) {
+        this.axisIndex = axisIndex
+        this.start = start
+        this.end = end
+    }
+
+    get points() {
+        return [this.start, this.end]
     }
 }
 
 let origin = [0, 0]
 
+// Used instead of the second vanishing point in 1 vanishing point mode
+let horizon = [[-0.40, -0.25], [0.40, -0.25]]
+
+// Used in 1 and 2 vanishing point mode when the principal point is set manually
+let manualPrincipalPoint = [0, 0]
+
 let corners = [
-    new Corner([-0.30, 0.07], [0.04,  0.24], [-0.08, -0.10]),
-    new Corner([ 0.36, 0.21], [0.11, -0.02], [ 0.17,  0.27])
+    new Corner([-0.30, 0.07], [0.04,  0.24], [-0.08, -0.10], [-0.31, -0.25]),
+    new Corner([ 0.36, 0.21], [0.11, -0.02], [ 0.17,  0.27], [ 0.37, -0.12])
 ]
 
+let lineSegments = []
+
+// A segment along one of the world axes with a known length, used to find the scale of the scene
+let referenceSegment = [[0.05, -0.08], [0.30, -0.14]]
+
+// Points along edges that should be straight, used to estimate lens distortion
+let straightLines = []
+
 let zoomRatio = 1
 let imageOffset = [0, 0] // UV units
 
@@ -96,6 +133,20 @@ function UVToPixelsAbsolute(u, v) {
     return [x, y]
 }
 
+/**
+ * Converts UV's to pixels in the source image, measured from its top left corner.
+ * @param {number[]} point 
+ */
+function UVToImagePixels(point) {
+    let halfLongest = Math.max(img.naturalWidth, img.naturalHeight) / 2
+    return [point[0] * halfLongest + img.naturalWidth / 2, img.naturalHeight / 2 - point[1] * halfLongest]
+}
+
+function imagePixelsToUV(point) {
+    let halfLongest = Math.max(img.naturalWidth, img.naturalHeight) / 2
+    return [(point[0] - img.naturalWidth / 2) / halfLongest, (img.naturalHeight / 2 - point[1]) / halfLongest]
+}
+
 function distanceToPoint(point1, point2) {
     let total = 0
     for (let i = 0; i < point1.length; i++) {
@@ -135,202 +186,303 @@ function drawLineUV(startX, startY, endX, endY, color=null, width=null) {
 }
 
 
-function getVanishingPoints() {
-    let vanishingPoints = []
-    
-    for (let i = 0; i < 2; i++) {
-        
-        let o1 = corners[0].uvCenter
-        let o2 = corners[1].uvCenter
-    
-        let p1 = Vector.subtraction(o1, corners[0].pointFromIndex(i))
-        let p2 = Vector.subtraction(o2, corners[1].pointFromIndex(i))
-    
-        let m = new Matrix([
-            [p1[0], -p2[0]],
-            [p1[1], -p2[1]]
-        ])
-        let v = [
-            o2[0] - o1[0],
-            o2[1] - o1[1]
-        ]
-    
-        let c = m.inverse.transformVector(v)
-    
-        let vp = Vector.addition(o1, Vector.scalarMultiplication(p1, c[0]))
-        vanishingPoints.push(vp)
-    }
+/**
+ * Returns the selected calibration mode, which is the number of vanishing points used.
+ */
+function getMode() {
+    return Number(document.getElementById("mode").value)
+}
 
-    return vanishingPoints
+/**
+ * Returns all lines pointing towards the vanishing point with the given index, as they are in the photo.
+ * The lines of the corners come first, in the same order as the residuals.
+ * @param {number} index
+ */
+function getLineSegments(index) {
+    return corners.map(corner => [corner.uvCenter, corner.pointFromIndex(index)])
+        .concat(lineSegments.filter(segment => segment.axisIndex === index).map(segment => segment.points))
 }
 
-function getFocalLength() {
-    let v = calcResults.vanishingPoints
+function isPrincipalPointManual() {
+    return getMode() !== 3 && document.getElementById("manual-principal-point").checked
+}
 
-    let f = Math.sqrt(-v[0][0] * v[1][0] - v[0][1] * v[1][1]) / 2 * calcResults.sensorLength
-    return f
+function getScaleMode() {
+    return document.getElementById("scale-mode").value
 }
 
+function getRotationOrder() {
+    return document.getElementById("rotation-order").value
+}
 
 /**
- * Returns the transform for the world with the camera at [0, 0, 0] facing [0, 0, -1] with [0, 1, 0] up.
+ * Returns the world convention chosen in the panel, see conventions.js.
  */
-function getWorldTransform() {
-    let axis1 = document.getElementById("axis1").value
-    let axis2 = document.getElementById("axis2").value
-
-    let distance = calcResults.focalLength / calcResults.sensorLength * 2
-    let vp1 = calcResults.vanishingPoints[0]
-    let vp2 = calcResults.vanishingPoints[1]
+function getWorldConvention() {
+    return worldConventions[document.getElementById("world-convention").value]
+}
 
-    let vectors = [
-        [],
-        [],
-        []
-    ]
+/**
+ * Switches to the rotation order of the chosen world convention.
+ */
+function applyWorldConvention() {
+    document.getElementById("rotation-order").value = getWorldConvention().rotationOrder
+}
 
-    let axes = {
-        "x": 0,
-        "y": 1,
-        "z": 2
+/**
+ * Collects what the exporters need to know about the solved camera, see exporters.js.
+ */
+function getExportCamera() {
+    let convention = getWorldConvention()
+
+    return {
+        matrix: calcResults.cameraMatrix,
+        unitScale: convention.unitScale,
+        unitName: convention.unitName,
+        focalLength: calcResults.focalLength,
+        sensorWidth: Number(document.getElementById("sensor-width").value),
+        sensorHeight: Number(document.getElementById("sensor-height").value),
+        shift: Vector.scalarMultiplication(calcResults.principalPoint, -0.5),
+        distortion: calcResults.distortion.normalized(calcResults.focalLength / calcResults.sensorLength * 2)
     }
+}
 
-    let vector1 = Vector.normalize([vp1[0], vp1[1], -distance])
-    let vector2 = Vector.normalize([vp2[0], vp2[1], -distance])
-
-    vector1 = Vector.scalarMultiplication(vector1, Number(axis1[0] + "1"))
-    vector2 = Vector.scalarMultiplication(vector2, Number(axis2[0] + "1"))
+function downloadFile(fileName, contents, type) {
+    let link = document.createElement("a")
+    link.href = URL.createObjectURL(new Blob([contents], {type: type}))
+    link.download = fileName
+    link.click()
+    // Some browsers only start reading the file after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(link.href))
+}
 
-    vectors[axes[axis1[1]]] = vector1
-    vectors[axes[axis2[1]]] = vector2
+/**
+ * Downloads the solved camera in the given format.
+ * @param {string} format "gltf", "dae" or "fbx"
+ */
+function exportCamera(format) {
+    let camera = getExportCamera()
 
-    for (let i = 0; i < 3; i++) {
-        if (vectors[i].length === 0) {
-            vectors[i] = Vector.crossProduct(vectors[(i + 1) % 3], vectors[(i + 2) % 3])
-            break
-        }
+    let exporters = {
+        gltf: [cameraToGLTF, "model/gltf+json"],
+        dae: [cameraToCOLLADA, "model/vnd.collada+xml"],
+        fbx: [cameraToFBX, "application/octet-stream"]
     }
+    let [exporter, type] = exporters[format]
 
-    return new Matrix(vectors).transpose
+    downloadFile(`camera.${format}`, exporter(camera), type)
 }
 
-function getLocation() {
-    let distance = Number(document.getElementById("distance-to-origin").value)
-
-    let point = Vector.scalarMultiplication(Vector.normalize(projectPointLocalInverse(origin, 1)), distance)
-
-
-    let m = calcResults.worldTransform.inverse
-
-    return Vector.scalarMultiplication(m.transformVector(point), -1)
+let calcResults = {}
 
+/**
+ * Collects the points and settings that the camera is solved from, see calibration.js.
+ */
+function getCalibrationInput() {
+    let mode = getMode()
+    let value = id => Number(document.getElementById(id).value)
+
+    return {
+        mode: mode,
+        corners: corners.map(corner => corner.points),
+        lineSegments: lineSegments,
+        horizon: horizon,
+        straightLines: straightLines,
+        principalPoint: isPrincipalPointManual() ? manualPrincipalPoint : null,
+        axes: [document.getElementById("axis1").value, document.getElementById("axis2").value],
+        sensorSize: [value("sensor-width"), value("sensor-height")],
+        focalLength: getSharedFocalLength() || (mode === 1 ? value("known-focal-length") : null),
+        origin: origin,
+        originLines: getOriginMode() === "intersection" ? originLines : null,
+        distance: value("distance-to-origin"),
+        reference: getScaleMode() === "reference" ? {
+            axis: document.getElementById("reference-axis").value,
+            length: value("reference-length"),
+            segment: referenceSegment
+        } : null,
+        alignment: getAlignmentAxis() ? {axis: getAlignmentAxis(), line: alignmentLine} : null,
+        frameAngle: value("frame-angle"),
+        convention: document.getElementById("world-convention").value,
+        rotationOrder: getRotationOrder()
+    }
 }
 
+/**
+ * Solves the camera from the current points and settings, without touching the results panel.
+ * The result is stored in calcResults, which the drawing and the tools read from.
+ */
+function solve() {
+    calcResults = solveCalibration(getCalibrationInput())
+    return calcResults
+}
 
-function getEulerRotation() {
-    let inverse = calcResults.worldTransform.inverse
-    let m = inverse.matrix
+/**
+ * Moves every point the camera is solved from a few image pixels in each direction, solves again,
+ * and returns the largest change of each result. The lens distortion is kept as it was solved.
+ */
+function getUncertainty() {
+    let solved = calcResults
+    let pixels = Number(document.getElementById("uncertainty-pixels").value)
+    let step = pixels * 2 / Math.max(img.naturalWidth, img.naturalHeight)
+
+    let uncertainty = {
+        focalLength: 0,
+        fov: 0,
+        location: [0, 0, 0],
+        eulerRotation: [0, 0, 0]
+    }
 
-    // Rotation axes:
-    // alpha = x, beta = y, gamma = z
+    function difference(value, original, isAngle=false) {
+        let diff = Math.abs(value - original)
+        if (isAngle) diff = Math.min(diff % 360, 360 - diff % 360)
+        return isNaN(diff) ? Infinity : diff
+    }
 
-    let gammas = [Math.atan(m[1][0] / m[0][0])] // (x_y / x_x)
-    gammas.push(gammas[0] + Math.PI)
+    getSolverPoints().forEach(point => {
+        for (let i = 0; i < 2; i++) {
+            [-step, step].forEach(offset => {
+                let original = point[i]
+                point[i] += offset
+                let result = solveCalibration({...getCalibrationInput(), distortion: solved.distortion})
+                point[i] = original
+
+                uncertainty.focalLength = Math.max(uncertainty.focalLength, difference(result.focalLength, solved.focalLength))
+                uncertainty.fov = Math.max(uncertainty.fov, difference(result.fov, solved.fov))
+
+                let rotation = [NaN, NaN, NaN]
+                if (result.eulerRotation) {
+                    // The same rotation can also be written with the middle angle beyond ±90 degrees
+                    let angles = result.eulerRotation
+                    rotation = [angles, alternativeEuler(angles, getRotationOrder())].reduce((prev, curr) => {
+                        let error = angles => angles.reduce((sum, angle, k) => sum + difference(angle, solved.eulerRotation[k], true), 0)
+                        return error(prev) < error(curr) ? prev : curr
+                    })
+                }
 
-    let betas = [-Math.sin(m[2][0])] // x_z
-    betas.push(Math.PI - betas[0])
+                for (let j = 0; j < 3; j++) {
+                    let location = result.targetLocation ? result.targetLocation[j] : NaN
 
-    let angles = []
+                    uncertainty.location[j] = Math.max(uncertainty.location[j], difference(location, solved.targetLocation[j]))
+                    uncertainty.eulerRotation[j] = Math.max(uncertainty.eulerRotation[j], difference(rotation[j], solved.eulerRotation[j], true))
+                }
+            })
+        }
+    })
 
-    gammas.forEach(gamma => {
-        let gammaMat = Matrix.rotation3D(2, gamma)
+    return uncertainty
+}
 
-        betas.forEach(beta => {
-            let betaMat = Matrix.rotation3D(1, beta)
+// How long the points must be still before the uncertainty is found, in milliseconds
+const uncertaintyDelay = 300
 
-            let mat = Matrix.multiplication(betaMat.inverse, Matrix.multiplication(gammaMat.inverse, inverse)).matrix
-            let alpha = Math.atan2(mat[2][1], mat[1][1]) // y_z, y_y
-            let alphaMat = Matrix.rotation3D(0, alpha)
+let uncertaintyTimeout = null
 
-            let combined = Matrix.multiplication(gammaMat, Matrix.multiplication(betaMat, alphaMat))
-            
+/**
+ * Finds and shows the uncertainty once the points have stopped moving, since it takes many solves.
+ */
+function scheduleUncertainty() {
+    clearTimeout(uncertaintyTimeout)
+    uncertaintyTimeout = setTimeout(updateUncertainty, uncertaintyDelay)
+}
 
-            let error = 0;
-            // Sum of squares of errors
-            combined.matrix.forEach((row, i) => {
-                row.forEach((element, j) => {
-                    error += Math.pow(element - m[i][j], 2)
-                })
-            })
+function updateUncertainty() {
+    if (!calcResults.worldTransform) return
 
-            angles.push({angles: [alpha, beta, gamma], error: error})
-        })
-    })
+    calcResults.uncertainty = getUncertainty()
+    showUncertainty(calcResults.uncertainty)
+}
 
+/**
+ * Shows the uncertainty next to the results, or that it is still being found.
+ * @param {object|null} uncertainty The uncertainty of the current results, or null while it is pending.
+ */
+function showUncertainty(uncertainty) {
+    let format = value => uncertainty ? formatUncertainty(value) : "± …"
 
-    // Choose angles with smallest differences to the input matrix
-    return angles.reduce((prev, curr) => {
-        return prev.error < curr.error ? prev : curr
-    }).angles
+    "xyz".split("").forEach((axis, i) => {
+        document.getElementById(`location-${axis}-uncertainty`).innerText = format(uncertainty && uncertainty.location[i])
+        document.getElementById(`rotation-${axis}-uncertainty`).innerText = format(uncertainty && uncertainty.eulerRotation[i])
+    })
+    document.getElementById("focal-length-uncertainty").innerText = format(uncertainty && uncertainty.focalLength)
+    document.getElementById("fov-uncertainty").innerText = format(uncertainty && uncertainty.fov)
 }
 
-function getBlender4x4Matrix() {
-    let m = calcResults.worldTransform.inverse.transpose
-    m.matrix.push(calcResults.location)
-    m = m.transpose
-    m.matrix.push([0, 0, 0, 1])
-
+// In UV units, about 20 image widths from the center
+const maxVanishingPointDistance = 40
 
-    return `C.scene.camera.matrix_world = Matrix(${JSON.stringify(m.matrix).replace(/\[/g, "(").replace(/\]/g, ")")})`
-}
+/**
+ * Returns warnings about vanishing points that are so far away that the lines are almost parallel.
+ */
+function getWarnings() {
+    let warnings = []
 
-function getBlenderCommand() {
-    return (
-`${calcResults.blender4x4Matrix}
-C.scene.camera.data.lens = ${calcResults.focalLength}
-C.scene.camera.data.sensor_width = ${calcResults.sensorLength}
+    calcResults.vanishingPoints.slice(0, calcResults.mode).forEach((vp, i) => {
+        let distance = Math.sqrt(Vector.dotProduct(vp, vp))
+        if (!(distance < maxVanishingPointDistance)) {
+            warnings.push(`Vanishing point ${i + 1} is close to infinity. The lines are almost parallel, so the results are unreliable.`)
+        }
+    })
 
-`)
+    return warnings
 }
 
-let calcResults = {}
+function formatUncertainty(value) {
+    return isFinite(value) ? `± ${value.toPrecision(2)}` : "± ∞"
+}
 
 function calculate() {
     let right = document.getElementById("results")
     right.hidden = true
 
-    let axis1 = document.getElementById("axis1").value
-    let axis2 = document.getElementById("axis2").value
+    solve()
 
-    window.calcResults = {}
-    calcResults.vanishingPoints = getVanishingPoints()
-    calcResults.sensorLength = Math.max(document.getElementById("sensor-width").value, document.getElementById("sensor-height").value)
-    calcResults.focalLength = getFocalLength()
-    calcResults.fov = 2 * Math.atan(calcResults.sensorLength / 2 / calcResults.focalLength) / Math.PI * 180
+    let warnings = getWarnings()
+    let warningsElem = document.getElementById("warnings")
+    warningsElem.innerText = warnings.join("\n")
+    warningsElem.hidden = warnings.length === 0
 
-    if (calcResults.focalLength && axis1[1] !== axis2[1]) {
+    if (calcResults.worldTransform) {
         right.hidden = false
-        calcResults.worldTransform = getWorldTransform()
-        calcResults.location = getLocation()
-        calcResults.eulerRotation = getEulerRotation().map(x => x / Math.PI * 180)
+        // The uncertainty of the previous results would be shown next to the new ones until it is found again
+        showUncertainty(null)
+        scheduleUncertainty()
 
-        calcResults.blender4x4Matrix = getBlender4x4Matrix()
-        document.getElementById("location-x").innerText = calcResults.location[0]
-        document.getElementById("location-y").innerText = calcResults.location[1]
-        document.getElementById("location-z").innerText = calcResults.location[2]
+        document.getElementById("location-x").innerText = calcResults.targetLocation[0]
+        document.getElementById("location-y").innerText = calcResults.targetLocation[1]
+        document.getElementById("location-z").innerText = calcResults.targetLocation[2]
 
         document.getElementById("rotation-x").innerText = calcResults.eulerRotation[0]
         document.getElementById("rotation-y").innerText = calcResults.eulerRotation[1]
         document.getElementById("rotation-z").innerText = calcResults.eulerRotation[2]
 
-        document.getElementById("blender-command").value = getBlenderCommand()
-    }
+        "wxyz".split("").forEach((axis, i) => {
+            document.getElementById(`quaternion-${axis}`).innerText = calcResults.quaternion[i]
+        })
+        "xyz".split("").forEach((axis, i) => {
+            document.getElementById(`axis-angle-${axis}`).innerText = calcResults.axisAngle.axis[i]
+        })
+        document.getElementById("axis-angle-angle").innerText = calcResults.axisAngle.angle
 
+        document.getElementById("distance-result").hidden = getScaleMode() !== "reference"
+        document.getElementById("distance").innerText = calcResults.distance
 
+        document.getElementById("principal-point-u").innerText = calcResults.principalPoint[0]
+        document.getElementById("principal-point-v").innerText = calcResults.principalPoint[1]
 
+        let distortion = calcResults.distortion.normalized(calcResults.focalLength / calcResults.sensorLength * 2)
+        document.getElementById("distortion").hidden = straightLines.length === 0
+        document.getElementById("distortion-k1").innerText = distortion.k1
+        document.getElementById("distortion-k2").innerText = distortion.k2
+
+        document.getElementById("blender-command").value = getBlenderCommand(calcResults)
+    }
 
     document.getElementById("focal-length").innerText = calcResults.focalLength
     document.getElementById("fov").innerText = calcResults.fov
+    if (calcResults.mode === 1 && !getSharedFocalLength()) {
+        document.getElementById("known-fov").value = calcResults.fov
+    }
+    updateExifReadout()
 }
 
 /**
@@ -338,15 +490,11 @@ function calculate() {
  * @param {number[]} vector The vector to project, with coordinates relative to the camera. (x is right, y is forwards and z is up)
  */
 function projectPointLocal(vector) {
-    let c = -calcResults.focalLength / calcResults.sensorLength * 2 / vector[2]
-    let v = Vector.scalarMultiplication(vector, c)
-    return [v[0], v[1]]
+    return projectToImage(calcResults, vector)
 }
 
 function projectPointLocalInverse(uv, distance) {
-    let c = calcResults.sensorLength / calcResults.focalLength / 2 * distance
-    let v = Vector.scalarMultiplication(uv, c)
-    return [v[0], v[1], -distance]
+    return projectFromImage(calcResults, uv, distance)
 }
 
 function drawAxisLines() {
@@ -355,7 +503,7 @@ function drawAxisLines() {
     let distance = 10 * calcResults.focalLength / calcResults.sensorLength
 
 
-    let start = projectPointLocalInverse(origin, distance)
+    let start = projectPointLocalInverse(calcResults.distortion.undistort(calcResults.origin), distance)
     let startUV = projectPointLocal(start)
     for (const i in axes) {
         let axis = axes[i]
@@ -372,6 +520,57 @@ function drawAxisLines() {
 
 const pointRadius = 3
 
+// The point that was last pressed or selected with Tab, which can be moved with the arrow keys and zoomed to
+let selectedPoint = null
+// Canvas pixels per image pixel when zooming to the selected point
+const selectionPixelScale = 4
+
+// The point being dragged, shown magnified next to the cursor
+let loupe = null
+const loupeRadius = 60
+// Screen pixels per image pixel
+const loupeMagnification = 6
+
+// How far from the cursor to look for something to snap to, in screen pixels
+const snapRadius = 8
+const straightLineColor = "#e8c547"
+
+function showUndistorted() {
+    return document.getElementById("show-undistorted").checked && !calcResults.distortion.isZero
+}
+
+/**
+ * Returns where a point from the photo is drawn, which depends on whether the image is shown undistorted.
+ * @param {number[]} point 
+ */
+function toView(point) {
+    return showUndistorted() ? calcResults.distortion.undistort(point) : point
+}
+
+/**
+ * The inverse of toView.
+ * @param {number[]} point 
+ */
+function fromView(point) {
+    return showUndistorted() ? calcResults.distortion.distort(point) : point
+}
+
+let undistortedImage = {key: null, canvas: null}
+
+/**
+ * Returns the undistorted image, which is only redrawn when the distortion or the image changes.
+ */
+function getUndistortedImage() {
+    let distortion = calcResults.distortion
+    let key = `${img.src} ${distortion.k1} ${distortion.k2}`
+
+    if (undistortedImage.key !== key) {
+        undistortedImage.key = key
+        undistortedImage.canvas = undistortImage(img, distortion)
+    }
+    return undistortedImage.canvas
+}
+
 function draw() {
     ctx.clearRect(0, 0, canvas.width, canvas.height)
     
@@ -390,7 +589,7 @@ function draw() {
         pos[0] -= size[0] / 2
         pos[1] -= size[1] / 2
         
-        ctx.drawImage(img, ...pos, ...size)
+        ctx.drawImage(showUndistorted() ? getUndistortedImage() : img, ...pos, ...size)
         
         // ctx.fillStyle = "#1117"
         ctx.fillStyle = "rgba(17, 17, 17, 0.47)"
@@ -399,105 +598,554 @@ function draw() {
         ctx.fill()
         
         if (calcResults.focalLength) drawAxisLines();
+        if (calcResults.worldTransform) drawOverlays()
         
         
         let color1 = axisColors[axis1.replace("-", " ").substring(1)]
         let color2 = axisColors[axis2.replace("-", " ").substring(1)]
+        let color3 = axisColors["xyz".split("").find(axis => axis !== axis1[1] && axis !== axis2[1])]
+        let colors = [color1, color2, color3]
         
         
         for (const i in corners) {
             let corner = corners[i]
-            let center = corner.uvCenter
-            let point1 = corner.point1
-            let point2 = corner.point2
+            let center = toView(corner.uvCenter)
+            let point1 = toView(corner.point1)
+            let point2 = toView(corner.point2)
+            let point3 = toView(corner.point3)
             
             let centerPx = UVToPixelsAbsolute(...center)
             let point1Px = UVToPixelsAbsolute(...point1)
             let point2Px = UVToPixelsAbsolute(...point2)
+            let point3Px = UVToPixelsAbsolute(...point3)
             
             ctx.lineWidth = 1.5
             
             drawLineUV(...center, ...point1, color1)
-            drawLineUV(...center, ...point2, color2)
+            if (calcResults.mode !== 1) drawLineUV(...center, ...point2, color2)
+            if (calcResults.mode === 3) drawLineUV(...center, ...point3, color3)
             
             if (calcResults) {
                 drawLineUV(...center, ...calcResults.vanishingPoints[0], color1, 1)
-                drawLineUV(...center, ...calcResults.vanishingPoints[1], color2, 1)
+                if (calcResults.mode !== 1) drawLineUV(...center, ...calcResults.vanishingPoints[1], color2, 1)
+                if (calcResults.mode === 3) drawLineUV(...center, ...calcResults.vanishingPoints[2], color3, 1)
                 
             }
             
             // Center point
             drawCircle(...centerPx, pointRadius, "#ffffff")
             drawCircle(...point1Px, pointRadius, color1)
-            drawCircle(...point2Px, pointRadius, color2)
+            if (calcResults.mode !== 1) drawCircle(...point2Px, pointRadius, color2)
+            if (calcResults.mode === 3) drawCircle(...point3Px, pointRadius, color3)
+        }
+
+        lineSegments.filter(segment => segment.axisIndex < calcResults.mode).forEach(segment => {
+            let color = colors[segment.axisIndex]
+            let [start, end] = segment.points.map(toView)
+
+            ctx.lineWidth = 1.5
+            drawLineUV(...start, ...end, color)
+            drawLineUV(...start, ...calcResults.vanishingPoints[segment.axisIndex], color, 1)
+
+            drawCircle(...UVToPixelsAbsolute(...start), pointRadius, color)
+            drawCircle(...UVToPixelsAbsolute(...end), pointRadius, color)
+        })
+
+        straightLines.forEach(points => {
+            points = points.map(toView)
+
+            ctx.beginPath()
+            ctx.strokeStyle = straightLineColor
+            ctx.lineWidth = 1
+            points.forEach(point => ctx.lineTo(...UVToPixelsAbsolute(...point)))
+            ctx.stroke()
+
+            points.forEach(point => drawCircle(...UVToPixelsAbsolute(...point), pointRadius, straightLineColor))
+        })
+
+        if (calcResults.residuals) {
+            ctx.font = "11px Roboto, sans-serif"
+            calcResults.residuals.forEach((residuals, i) => {
+                getLineSegments(i).forEach((segment, j) => {
+                    let midpoint = toView(Vector.scalarMultiplication(Vector.addition(...segment), 0.5))
+                    let midpointPx = UVToPixelsAbsolute(...midpoint)
+
+                    ctx.fillStyle = colors[i]
+                    ctx.fillText(`${residuals[j].toFixed(2)}°`, midpointPx[0] + 6, midpointPx[1] - 6)
+                })
+            })
+        }
+
+        if (calcResults.mode === 3 || isPrincipalPointManual()) {
+            let ppPx = UVToPixelsAbsolute(...toView(calcResults.principalPoint))
+            drawCircle(...ppPx, 4, "#00000000", "#ffffff", 1.5)
+        }
+
+        if (getScaleMode() === "reference") {
+            let axis = document.getElementById("reference-axis").value
+            let color = axisColors[axis]
+            let [start, end] = referenceSegment.map(toView)
+            let startPx = UVToPixelsAbsolute(...start)
+            let endPx = UVToPixelsAbsolute(...end)
+
+            drawLineUV(...start, ...end, color, 3)
+            drawCircle(...startPx, pointRadius, "#ffffff", color, 1.5)
+            drawCircle(...endPx, pointRadius, "#ffffff", color, 1.5)
+
+            ctx.font = "12px Roboto, sans-serif"
+            ctx.fillStyle = color
+            ctx.fillText(document.getElementById("reference-length").value, (startPx[0] + endPx[0]) / 2 + 6, (startPx[1] + endPx[1]) / 2 - 6)
+        }
+
+        if (calcResults.mode === 1) {
+            ctx.lineWidth = 1.5
+            let [start, end] = horizon.map(toView)
+            drawLineUV(...start, ...end, color2)
+            drawCircle(...UVToPixelsAbsolute(...start), pointRadius, color2)
+            drawCircle(...UVToPixelsAbsolute(...end), pointRadius, color2)
         }
         
-        let originPx = UVToPixelsAbsolute(...origin)
+        drawWorldFrameGuides()
+
+        let originPx = UVToPixelsAbsolute(...toView(calcResults.origin))
         
         drawCircle(...originPx, 4, "#ccc")
+
+        drawMeasurements()
+
+        if (selectedPoint && getDraggablePoints().includes(selectedPoint)) {
+            drawCircle(...UVToPixelsAbsolute(...toView(selectedPoint)), pointRadius + 3, "#00000000", "#ffffff", 1.5)
+        }
+
+        if (loupe) drawLoupe()
     }
 }
 
-canvas.addEventListener("mousedown", event => {
-    if (img.src !== "") {
-        let start = pixelsToUVAbsolute(event.offsetX, event.offsetY)
-    
-        if (event.button === 1 || event.ctrlKey || event.shiftKey) {
-            // Translation of the image
-            event.preventDefault()
-    
-            function moveImage(event) {
-                let newPoint = pixelsToUVAbsolute(event.offsetX, event.offsetY)
-                imageOffset[0] += newPoint[0] - start[0]
-                imageOffset[1] += newPoint[1] - start[1]
-                draw()
+/**
+ * Draws the area of the source image around the dragged point, magnified, above and to the left of the cursor.
+ */
+function drawLoupe() {
+    let [x, y] = UVToImagePixels(loupe.point)
+    let offset = loupeRadius + 24
+    let center = [loupe.cursor[0] - offset, loupe.cursor[1] - offset]
+
+    // Keep it on the canvas
+    if (center[0] < loupeRadius) center[0] = loupe.cursor[0] + offset
+    if (center[1] < loupeRadius) center[1] = loupe.cursor[1] + offset
+
+    let sourceSize = 2 * loupeRadius / loupeMagnification
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.arc(...center, loupeRadius, 0, 2 * Math.PI)
+    ctx.fillStyle = "#1a1a1e"
+    ctx.fill()
+    ctx.clip()
+
+    ctx.imageSmoothingEnabled = false
+    ctx.drawImage(img, x - sourceSize / 2, y - sourceSize / 2, sourceSize, sourceSize, center[0] - loupeRadius, center[1] - loupeRadius, 2 * loupeRadius, 2 * loupeRadius)
+
+    ctx.strokeStyle = "#ffffffaa"
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(center[0] - loupeRadius, center[1])
+    ctx.lineTo(center[0] + loupeRadius, center[1])
+    ctx.moveTo(center[0], center[1] - loupeRadius)
+    ctx.lineTo(center[0], center[1] + loupeRadius)
+    ctx.stroke()
+    ctx.restore()
+
+    drawCircle(...center, loupeRadius, "#00000000", "#ffffff", 2)
+}
+
+/**
+ * Moves a point to the closest strong corner or edge in the image, if there is one near it.
+ * @param {number[]} point UV's in the source image.
+ */
+function snapToImage(point) {
+    let halfLongest = Math.max(img.naturalWidth, img.naturalHeight) / 2
+    let imagePixelsPerScreenPixel = halfLongest / UVToPixelsRelative(1, 0)[0]
+    let radius = Math.min(24, Math.max(3, snapRadius * imagePixelsPerScreenPixel))
+
+    let snapped = findSnapPoint(img, ...UVToImagePixels(point), radius)
+    return snapped ? imagePixelsToUV(snapped) : point
+}
+
+/**
+ * Returns the points in the current mode that the camera is solved from.
+ */
+function getSolverPoints() {
+    let points = getOriginMode() === "point" ? [origin] : []
+
+    corners.forEach(corner => {
+        points.push(corner.uvCenter, corner.point1)
+        if (calcResults.mode !== 1) points.push(corner.point2)
+        if (calcResults.mode === 3) points.push(corner.point3)
+    })
+
+    if (calcResults.mode === 1) points = points.concat(horizon)
+
+    if (isPrincipalPointManual()) points.push(manualPrincipalPoint)
+
+    lineSegments.filter(segment => segment.axisIndex < calcResults.mode).forEach(segment => {
+        points = points.concat(segment.points)
+    })
+
+    if (getScaleMode() === "reference") points = points.concat(referenceSegment)
+
+    return points.concat(getWorldFramePoints())
+}
+
+/**
+ * Returns the points that are visible in the current mode, and can be moved.
+ */
+function getDraggablePoints() {
+    let points = getSolverPoints()
+
+    straightLines.forEach(line => {
+        points = points.concat(line)
+    })
+
+    measurements.forEach(measurement => {
+        points = points.concat(measurement.points)
+    })
+
+    return points
+}
+
+// How close to a point it must be pressed to move it, in canvas pixels. Fingers cover more than a cursor.
+const hitRadius = {
+    mouse: 16,
+    pen: 24,
+    touch: 32
+}
+
+// The position of every pointer that is down on the canvas, by pointer id
+let activePointers = new Map()
+
+// What the pointers are doing: moving a point, panning or pinching, as {move(event), end(cancelled)}
+let gesture = null
+
+/**
+ * Zooms by a factor, and moves the image so that what was under one position on the canvas ends up under another.
+ * @param {number} factor
+ * @param {number[]} from Canvas pixels.
+ * @param {number[]} to Canvas pixels.
+ */
+function zoomView(factor, from, to=from) {
+    let anchor = pixelsToUVAbsolute(...from)
+    zoomRatio *= factor
+    let moved = pixelsToUVAbsolute(...to)
+
+    imageOffset[0] += moved[0] - anchor[0]
+    imageOffset[1] += moved[1] - anchor[1]
+}
+
+function panGesture(event) {
+    let start = pixelsToUVAbsolute(event.offsetX, event.offsetY)
+
+    return {
+        move(event) {
+            let newPoint = pixelsToUVAbsolute(event.offsetX, event.offsetY)
+            imageOffset[0] += newPoint[0] - start[0]
+            imageOffset[1] += newPoint[1] - start[1]
+            draw()
+        },
+        end() {}
+    }
+}
+
+/**
+ * Starts moving the point closest to the pointer, if it is close enough. Returns null otherwise.
+ */
+function movePointGesture(event) {
+    let start = pixelsToUVAbsolute(event.offsetX, event.offsetY)
+    let points = getDraggablePoints()
+    let viewPoints = points.map(toView)
+    let closestView = closestPoint(start, viewPoints)
+    let closest = points[viewPoints.indexOf(closestView)]
+
+    let radius = hitRadius[event.pointerType] || hitRadius.mouse
+    if (UVToPixelsRelative(distanceToPoint(start, closestView), 0)[0] >= radius) return null
+
+    let from = closest.slice()
+    selectedPoint = closest
+    loupe = {point: closest, cursor: [event.offsetX, event.offsetY]}
+    draw()
+
+    return {
+        move(event) {
+            let newPoint = fromView(pixelsToUVAbsolute(event.offsetX, event.offsetY))
+            if (document.getElementById("snap").checked && !event.altKey) {
+                newPoint = snapToImage(newPoint)
             }
-    
-            function removeListeners() {
-                canvas.removeEventListener("mousemove", moveImage)
-                canvas.removeEventListener("mouseup", removeListeners)
+            closest[0] = newPoint[0]
+            closest[1] = newPoint[1]
+            loupe.cursor = [event.offsetX, event.offsetY]
+            refresh()
+        },
+        end(cancelled) {
+            loupe = null
+
+            if (cancelled) {
+                closest[0] = from[0]
+                closest[1] = from[1]
+            } else if (closest[0] !== from[0] || closest[1] !== from[1]) {
+                addToHistory(new MovePointCommand(closest, from, closest.slice()))
             }
-    
-            canvas.addEventListener("mousemove", moveImage)
-            canvas.addEventListener("mouseup", removeListeners)
+            refresh()
+        }
+    }
+}
 
+/**
+ * Zooms about the center of two pointers as they move apart or together, and pans as the center moves.
+ */
+function pinchGesture() {
+    function getPinch() {
+        let [a, b] = Array.from(activePointers.values())
+        return {
+            center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+            distance: Math.max(1, distanceToPoint(a, b))
+        }
+    }
 
-        } else {
-            // Translation of points
-            let points = [origin].concat(corners[0].points).concat(corners[1].points)
-            let closest = closestPoint(start, points)
+    let previous = getPinch()
 
-            // Closest point is closer than 16 pixels
-            if (UVToPixelsRelative(distanceToPoint(start, closest), 0)[0] < 16) {
-    
-                function movePoint(event) {
-                    let newPoint = pixelsToUVAbsolute(event.offsetX, event.offsetY)
-                    closest[0] = newPoint[0]
-                    closest[1] = newPoint[1]
-                    refresh()
-                }
-    
-                function removeListeners() {
-                    canvas.removeEventListener("mousemove", movePoint)
-                    canvas.removeEventListener("mouseup", removeListeners)
-                }
-        
-                canvas.addEventListener("mousemove", movePoint)
-                canvas.addEventListener("mouseup", removeListeners)
+    return {
+        move() {
+            let pinch = getPinch()
+            zoomView(pinch.distance / previous.distance, previous.center, pinch.center)
+            previous = pinch
+            draw()
+        },
+        end() {}
+    }
+}
+
+canvas.addEventListener("pointerdown", event => {
+    if (img.src === "") return
 
+    event.preventDefault()
+    // Prevented pointer events don't always move the focus, which Tab needs to select points
+    canvas.focus()
+    canvas.setPointerCapture(event.pointerId)
+    activePointers.set(event.pointerId, [event.offsetX, event.offsetY])
+
+    if (activePointers.size === 2) {
+        // A second finger turns whatever the first one was doing into a pinch
+        if (gesture) gesture.end(true)
+        gesture = pinchGesture()
+    } else if (activePointers.size === 1) {
+        if (event.button === 1 || event.ctrlKey || event.shiftKey) {
+            gesture = panGesture(event)
+        } else if (newMeasurement) {
+            let point = fromView(pixelsToUVAbsolute(event.offsetX, event.offsetY))
+            if (document.getElementById("snap").checked && !event.altKey) {
+                point = snapToImage(point)
             }
+            addMeasurementPoint(point)
+        } else {
+            gesture = movePointGesture(event)
         }
     }
 })
 
+canvas.addEventListener("pointermove", event => {
+    if (!activePointers.has(event.pointerId)) return
+
+    activePointers.set(event.pointerId, [event.offsetX, event.offsetY])
+    if (gesture) gesture.move(event)
+})
+
+function endPointer(event) {
+    if (!activePointers.has(event.pointerId)) return
+
+    activePointers.delete(event.pointerId)
+    if (gesture) {
+        gesture.end(event.type === "pointercancel")
+        gesture = null
+    }
+}
+canvas.addEventListener("pointerup", endPointer)
+canvas.addEventListener("pointercancel", endPointer)
+
 canvas.addEventListener("wheel", e => {
     e.preventDefault()
     if (e.deltaY) {
         let length = 0.1 * (-e.deltaY / Math.abs(e.deltaY))
 
-        zoomRatio *= Math.exp(length)
+        // The point under the cursor stays where it is
+        zoomView(Math.exp(length), [e.offsetX, e.offsetY])
+        draw()
+    }
+})
+
+/**
+ * Moves the image so that a point is in the center of the canvas.
+ * @param {number[]} point UV's as they are drawn.
+ */
+function centerView(point) {
+    let [x, y] = UVToPixelsAbsolute(...point)
+    let offset = pixelsToUVRelative(canvas.width / 2 - x, canvas.height / 2 - y)
+    imageOffset[0] += offset[0]
+    imageOffset[1] += offset[1]
+}
+
+/**
+ * Returns how many canvas pixels one pixel of the image covers.
+ */
+function getPixelScale() {
+    return imgCanvasSize()[0] / img.naturalWidth
+}
+
+/**
+ * Shows the whole image, as large as it fits.
+ */
+function zoomToFit() {
+    if (img.src === "") return
+
+    zoomRatio = 1
+    imageOffset = [0, 0]
+    draw()
+}
+
+/**
+ * Shows one pixel of the image per canvas pixel, keeping the center of the canvas where it is.
+ */
+function zoomToActualSize() {
+    if (img.src === "") return
+
+    zoomView(1 / getPixelScale(), [canvas.width / 2, canvas.height / 2])
+    draw()
+}
+
+/**
+ * Zooms in on the selected point. Without a selection, all the points are fit to the canvas.
+ */
+function zoomToSelection() {
+    if (img.src === "") return
+
+    let points = getDraggablePoints()
+    if (points.includes(selectedPoint)) {
+        zoomRatio *= selectionPixelScale / getPixelScale()
+        centerView(toView(selectedPoint))
         draw()
+        return
+    }
+
+    points = points.map(toView)
+    let min = [0, 1].map(i => Math.min(...points.map(point => point[i])))
+    let max = [0, 1].map(i => Math.max(...points.map(point => point[i])))
+
+    // Canvas pixels per UV, now and when the points fill most of the canvas
+    let scale = UVToPixelsRelative(1, 0)[0]
+    let newScale = Math.min(canvas.width * 0.9 / (max[0] - min[0]), canvas.height * 0.9 / (max[1] - min[1]))
+
+    zoomRatio *= newScale / scale
+    centerView(Vector.scalarMultiplication(Vector.addition(min, max), 0.5))
+    draw()
+}
+
+/**
+ * Selects the next point that can be moved, or the previous one.
+ * Past the last point, or before the first, nothing is selected.
+ * @param {number} step 1 or -1.
+ * @returns {boolean} Whether a point was selected.
+ */
+function selectNextPoint(step) {
+    let points = getDraggablePoints()
+    let index = points.indexOf(selectedPoint)
+
+    if (index === -1) {
+        index = step > 0 ? 0 : points.length - 1
+    } else {
+        index += step
+    }
+
+    selectedPoint = points[index] || null
+    draw()
+    updateSelectedPoint()
+    return selectedPoint !== null
+}
+
+/**
+ * Moves the selected point by a number of canvas pixels, as it is drawn.
+ * @param {number} x
+ * @param {number} y
+ */
+function nudgeSelectedPoint(x, y) {
+    if (!getDraggablePoints().includes(selectedPoint)) return
+
+    let from = selectedPoint.slice()
+    let newPoint = fromView(Vector.addition(toView(selectedPoint), pixelsToUVRelative(x, y)))
+    selectedPoint[0] = newPoint[0]
+    selectedPoint[1] = newPoint[1]
+
+    addToHistory(new MovePointCommand(selectedPoint, from, selectedPoint.slice()))
+    refresh()
+}
+
+/**
+ * Moves the selected point to the image pixel coordinates typed in the panel.
+ */
+function setSelectedPointPixels() {
+    if (!getDraggablePoints().includes(selectedPoint)) return
+
+    let x = Number(document.getElementById("selected-point-x").value)
+    let y = Number(document.getElementById("selected-point-y").value)
+
+    let from = selectedPoint.slice()
+    let newPoint = imagePixelsToUV([x, y])
+    selectedPoint[0] = newPoint[0]
+    selectedPoint[1] = newPoint[1]
+
+    addToHistory(new MovePointCommand(selectedPoint, from, selectedPoint.slice()))
+    refresh()
+}
+
+/**
+ * Shows the coordinates of the selected point in the panel, or hides them if no point is selected.
+ */
+function updateSelectedPoint() {
+    let selected = getDraggablePoints().includes(selectedPoint)
+    document.getElementById("selected-point").hidden = !selected
+    if (!selected) return
+
+    let [x, y] = UVToImagePixels(selectedPoint)
+    document.getElementById("selected-point-x").value = x.toFixed(1)
+    document.getElementById("selected-point-y").value = y.toFixed(1)
+    document.getElementById("selected-point-uv").innerText = `UV: ${selectedPoint[0].toFixed(4)}, ${selectedPoint[1].toFixed(4)}`
+}
+
+// The direction each arrow key moves the selected point, in canvas pixels
+const arrowKeys = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+}
+
+document.addEventListener("keydown", event => {
+    if (img.src === "" || event.ctrlKey || event.metaKey || event.altKey || ["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName)) return
+
+    // Tab only goes through the points while the canvas has focus, and leaves it after the last point
+    if (event.key === "Tab") {
+        if (event.target === canvas && selectNextPoint(event.shiftKey ? -1 : 1)) event.preventDefault()
+        return
+    }
+
+    if (event.key in arrowKeys) {
+        event.preventDefault()
+        let distance = event.shiftKey ? 10 : 1
+        nudgeSelectedPoint(...Vector.scalarMultiplication(arrowKeys[event.key], distance))
+        return
     }
+
+    let key = event.key.toLowerCase()
+    if (key === "f") zoomToFit()
+    if (key === "1") zoomToActualSize()
+    if (key === "z") zoomToSelection()
 })
 
 
@@ -541,19 +1189,131 @@ function updateSensorSize(deciding=null) {
 }
 
 
+/**
+ * Adds a line pointing towards the vanishing point with the given index,
+ * starting a bit to the side of the image center.
+ * @param {number} axisIndex 
+ */
+function addLineSegment(axisIndex) {
+    let offset = 0.05 * (lineSegments.length + 1)
+    let start = [offset, -offset]
+
+    let direction = [0.2, 0]
+    let vp = calcResults.vanishingPoints && calcResults.vanishingPoints[axisIndex]
+    if (vp && isFinite(vp[0]) && isFinite(vp[1])) {
+        direction = Vector.scalarMultiplication(Vector.normalize(Vector.subtraction(vp, start)), 0.2)
+    }
+
+    let segment = new LineSegment(axisIndex, start, Vector.addition(start, direction))
+    lineSegments.push(segment)
+    addToHistory(new ListItemCommand(lineSegments, segment, true))
+    refresh()
+}
+
+/**
+ * Removes the most recently added line.
+ */
+function removeLineSegment() {
+    if (lineSegments.length === 0) return
+
+    addToHistory(new ListItemCommand(lineSegments, lineSegments.pop(), false))
+    refresh()
+}
+
+/**
+ * Adds a line of points that the user can move onto an edge that should be straight.
+ */
+function addStraightLine() {
+    let v = 0.5 - 0.1 * (straightLines.length % 10)
+    let points = []
+    for (let i = 0; i < 5; i++) {
+        points.push([-0.6 + 0.3 * i, v])
+    }
+
+    straightLines.push(points)
+    addToHistory(new ListItemCommand(straightLines, points, true))
+    refresh()
+}
+
+/**
+ * Removes the most recently added straight line.
+ */
+function removeStraightLine() {
+    if (straightLines.length === 0) return
+
+    addToHistory(new ListItemCommand(straightLines, straightLines.pop(), false))
+    refresh()
+}
+
+/**
+ * Keeps the known focal length and field of view in sync, used in 1 vanishing point mode.
+ * @param {number} deciding Which value was changed - 0 for focal length, 1 for field of view.
+ */
+function updateKnownLens(deciding=0) {
+    let focalInput = document.getElementById("known-focal-length")
+    let fovInput = document.getElementById("known-fov")
+
+    let sensorLength = Math.max(document.getElementById("sensor-width").value, document.getElementById("sensor-height").value)
+
+    if (deciding === 1) {
+        let fov = Number(fovInput.value) / 180 * Math.PI
+        focalInput.value = sensorLength / 2 / Math.tan(fov / 2)
+    } else {
+        let focalLength = Number(focalInput.value)
+        fovInput.value = 2 * Math.atan(sensorLength / 2 / focalLength) / Math.PI * 180
+    }
+
+    refresh()
+}
+
+/**
+ * Shows either the distance to origin input or the reference distance inputs.
+ */
+function updateScaleMode() {
+    let scaleMode = getScaleMode()
+
+    document.querySelectorAll("[data-scale]").forEach(elem => {
+        elem.hidden = elem.dataset.scale !== scaleMode
+    })
+
+    refresh()
+}
+
+/**
+ * Shows the settings and results that belong to the selected mode, and hides the rest.
+ */
+function updateMode() {
+    let mode = document.getElementById("mode").value
+
+    document.querySelectorAll("[data-modes]").forEach(elem => {
+        elem.hidden = !elem.dataset.modes.split(" ").includes(mode)
+    })
+
+    let labels = {
+        "1": ["Vanishing point axis", "Horizon axis"],
+        "2": ["Axis 1", "Axis 2"],
+        "3": ["Axis 1", "Axis 2"]
+    }[mode]
+
+    document.getElementById("axis1-label").innerText = labels[0]
+    document.getElementById("axis2-label").innerText = labels[1]
+
+    refresh()
+}
+
+
 function loadDropped(event) {
     event.preventDefault()
-    let item = event.dataTransfer.items[0]
-    if (item.type.split("/")[0].toLowerCase() === "image") {
-        let file = item.getAsFile()
-        uploadImage(file)
-    }
+    let files = Array.from(event.dataTransfer.files).filter(file => file.type.split("/")[0].toLowerCase() === "image")
+    openImages(files)
 }
 
 
 function refresh() {
     calculate()
     draw()
+    updateSelectedPoint()
+    updateMeasurementList()
 }
 
 function triggerUpload() {
@@ -562,15 +1322,32 @@ function triggerUpload() {
 
 
 
-function uploadImage(file) {
+// The file of the loaded image, kept for saving projects
+let imageFile = null
+
+/**
+ * Loads an image file onto the canvas, replacing all open images.
+ * @param {File} file 
+ * @param {function} [onload] Called when the image has loaded, instead of fitting the sensor size to the image.
+ */
+function uploadImage(file, onload=null) {
     if (file) {
         document.getElementsByTagName("aside")[0].hidden = false
         document.getElementById("canvas-container").removeAttribute("onclick")
         document.getElementById("upload").style.visibility = "hidden"
         
-        img.src = URL.createObjectURL(file)
+        resetCalibrations(file)
+        img.src = currentCalibration.url
         img.onload = () => {
-            updateSensorSize()
+            if (onload) {
+                onload()
+            } else {
+                updateSensorSize()
+            }
+            // Changes made before the EXIF has been read are kept in the new history
+            clearHistory()
+            // Projects have their own sensor size
+            loadExif(currentCalibration, !onload)
             resizeCanvas()
         }
     }
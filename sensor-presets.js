@@ -0,0 +1,152 @@
+/**
+ * @file Sensor sizes of common formats and cameras, and setting the sensor size from the EXIF of the image.
+ *
+ * Cameras are matched by the model in their EXIF. For other cameras, like phones, the sensor size is
+ * found from the ratio between the focal length and the 35 mm equivalent focal length, if both are known.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// The diagonal of a 36 x 24 mm sensor
+const fullFrameDiagonal = Math.hypot(36, 24)
+
+// Width and height in mm, and the EXIF models of cameras with the format
+const sensorPresets = [
+    {name: "Full frame", width: 36, height: 24, models: [
+        "Canon EOS 5D Mark III", "Canon EOS 5D Mark IV", "Canon EOS 6D", "Canon EOS 6D Mark II",
+        "Canon EOS R", "Canon EOS RP", "Canon EOS R5", "Canon EOS R6",
+        "NIKON D610", "NIKON D750", "NIKON D780", "NIKON D810", "NIKON D850", "NIKON Z 5", "NIKON Z 6", "NIKON Z 7",
+        "ILCE-7M2", "ILCE-7M3", "ILCE-7M4", "ILCE-7RM2", "ILCE-7RM3", "ILCE-7RM4", "ILCE-7SM2", "ILCE-7SM3", "ILCE-9",
+        "DC-S1", "DC-S1R", "DC-S5"
+    ]},
+    {name: "APS-C (Canon)", width: 22.3, height: 14.9, models: [
+        "Canon EOS 7D Mark II", "Canon EOS 77D", "Canon EOS 80D", "Canon EOS 90D", "Canon EOS 200D", "Canon EOS 250D",
+        "Canon EOS 800D", "Canon EOS 850D", "Canon EOS 2000D", "Canon EOS 4000D", "Canon EOS M50", "Canon EOS M6 Mark II"
+    ]},
+    {name: "APS-C", width: 23.5, height: 15.6, models: [
+        "NIKON D3500", "NIKON D5600", "NIKON D7200", "NIKON D7500", "NIKON D500", "NIKON Z 50",
+        "ILCE-6000", "ILCE-6100", "ILCE-6300", "ILCE-6400", "ILCE-6500", "ILCE-6600",
+        "X-T2", "X-T3", "X-T4", "X-T20", "X-T30", "X-E3", "X-E4", "X-S10", "X-H1", "X100F", "X100V",
+        "PENTAX K-3 II", "PENTAX K-70"
+    ]},
+    {name: "Micro Four Thirds", width: 17.3, height: 13, models: [
+        "DC-GH5", "DC-GH5S", "DC-G9", "DC-G90", "DMC-GH4", "DMC-GX85",
+        "E-M1MarkII", "E-M1MarkIII", "E-M5MarkII", "E-M5MarkIII", "E-M10MarkIII", "E-M10MarkIV"
+    ]},
+    {name: "1 inch", width: 13.2, height: 8.8, models: [
+        "DSC-RX100", "DSC-RX100M2", "DSC-RX100M3", "DSC-RX100M4", "DSC-RX100M5", "DSC-RX100M5A", "DSC-RX100M6", "DSC-RX100M7",
+        "Canon PowerShot G7 X Mark II", "Canon PowerShot G7 X Mark III", "Canon PowerShot G5 X Mark II",
+        "FC6310", "FC6310S", "L1D-20c"
+    ]},
+    {name: "1/2.3 inch", width: 6.17, height: 4.55, models: [
+        "FC220", "FC7203", "FC330", "HERO7 Black", "HERO8 Black", "HERO9 Black"
+    ]},
+    {name: "Medium format (44 x 33)", width: 43.8, height: 32.9, models: [
+        "GFX 50S", "GFX 50R", "GFX100", "GFX 100S"
+    ]},
+    {name: "Super 35", width: 24.89, height: 18.66, models: []}
+]
+
+// List the presets in the panel
+sensorPresets.forEach(preset => {
+    let option = document.createElement("option")
+    option.value = preset.name
+    option.innerText = preset.name
+    document.getElementById("sensor-preset").append(option)
+})
+
+/**
+ * Returns the preset of a camera model from its EXIF, or null if it isn't known.
+ * @param {string} model
+ */
+function findSensorPreset(model) {
+    if (!model) return null
+
+    let normalized = model.trim().toLowerCase()
+    return sensorPresets.find(preset => preset.models.some(presetModel => presetModel.toLowerCase() === normalized)) || null
+}
+
+/**
+ * Returns the sensor size of the camera that took an image, as [width, height] in mm, or null if it can't be found.
+ * The size from the 35 mm equivalent focal length has the aspect ratio of the image, since only the diagonal is known.
+ * @param {object} exif
+ * @param {number} aspectRatio The width of the image divided by its height.
+ */
+function getSensorFromExif(exif, aspectRatio) {
+    let preset = findSensorPreset(exif.model)
+    if (preset) return [preset.width, preset.height]
+
+    if (exif.focalLength && exif.focalLength35mm) {
+        let diagonal = fullFrameDiagonal * exif.focalLength / exif.focalLength35mm
+        let height = diagonal / Math.hypot(aspectRatio, 1)
+        return [height * aspectRatio, height]
+    }
+
+    return null
+}
+
+/**
+ * Sets the sensor size to the preset chosen in the panel.
+ */
+function applySensorPreset() {
+    let preset = sensorPresets.find(preset => preset.name === document.getElementById("sensor-preset").value)
+    if (!preset) return
+
+    document.getElementById("sensor-width").value = preset.width
+    document.getElementById("sensor-height").value = preset.height
+    updateSensorSize()
+}
+
+/**
+ * Reads the EXIF of the image of a calibration, to show the focal length it was taken with next to the solved one.
+ * The image can already be edited while this runs, so the sensor size is set as a change that can be undone.
+ * Errors are shown instead of thrown, since nothing waits for this.
+ * @param {Calibration} calibration
+ * @param {boolean} [setSensor] Whether to also set the sensor size from the camera.
+ */
+async function loadExif(calibration, setSensor=false) {
+    try {
+        calibration.exif = await readExif(calibration.file)
+    } catch (error) {
+        alert(`Could not read the EXIF of "${calibration.file.name}": ${error.message}`)
+        return
+    }
+    if (calibration !== currentCalibration) return
+
+    let exif = calibration.exif
+    let sensor = exif && getSensorFromExif(exif, img.naturalWidth / img.naturalHeight)
+
+    if (setSensor && sensor) {
+        let preset = findSensorPreset(exif.model)
+        document.getElementById("sensor-preset").value = preset ? preset.name : ""
+        document.getElementById("sensor-width").value = sensor[0]
+        document.getElementById("sensor-height").value = sensor[1]
+        updateSensorSize()
+        recordSettingsChange()
+    } else {
+        calculate()
+    }
+}
+
+/**
+ * Shows the focal length from the EXIF of the current image, with the solved focal length as a 35 mm equivalent to compare with.
+ */
+function updateExifReadout() {
+    let readout = document.getElementById("exif-focal-length")
+    let exif = currentCalibration && currentCalibration.exif
+    readout.hidden = !(exif && (exif.focalLength || exif.focalLength35mm))
+    if (readout.hidden) return
+
+    let sensorDiagonal = Math.hypot(document.getElementById("sensor-width").value, document.getElementById("sensor-height").value)
+    let solved35mm = calcResults.focalLength * fullFrameDiagonal / sensorDiagonal
+
+    let parts = []
+    if (exif.focalLength) parts.push(`${Number(exif.focalLength.toFixed(2))} mm`)
+    if (exif.focalLength35mm) parts.push(`${exif.focalLength35mm} mm in 35 mm (solved: ${solved35mm.toFixed(1)} mm)`)
+
+    // Models often start with the make already
+    let camera = [exif.make, exif.model].filter(Boolean).join(" ")
+    if (exif.make && exif.model && exif.model.toLowerCase().startsWith(exif.make.split(" ")[0].toLowerCase())) camera = exif.model
+    readout.innerText = `EXIF${camera ? ` (${camera})` : ""}: ${parts.join(", ")}`
+}
@@ -0,0 +1,220 @@
+/**
+ * @file Snapping of points to corners and edges in the image, with sub-pixel accuracy.
+ *
+ * Coordinates are in image pixels, where the center of the top left pixel is at (0.5, 0.5).
+ * Corners are found with the structure tensor (the smallest eigenvalue, like Shi-Tomasi),
+ * and placed where the gradients around them point away from it.
+ * Edges are placed where the gradient is strongest across them.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Half the size of the window the structure tensor is summed over
+const tensorRadius = 2
+// The smallest eigenvalue a corner must have, in squared gray levels
+const minCornerStrength = 5e3
+// How much weaker the second direction of a corner can be than the first
+const minCornerRatio = 0.15
+// The smallest gradient an edge must have, in gray levels per pixel
+const minEdgeStrength = 20
+
+let patchCanvas = document.createElement("canvas")
+
+/**
+ * Returns the brightness of a square part of the image, from 0 to 255, row by row.
+ * Pixels outside the image are black.
+ * @param {CanvasImageSource} image
+ * @param {number} left - The x coordinate of the left edge of the patch.
+ * @param {number} top - The y coordinate of the top edge of the patch.
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+function getGrayPatch(image, left, top, size) {
+    patchCanvas.width = size
+    patchCanvas.height = size
+
+    let patchCtx = patchCanvas.getContext("2d")
+    patchCtx.clearRect(0, 0, size, size)
+    patchCtx.drawImage(image, left, top, size, size, 0, 0, size, size)
+    let data = patchCtx.getImageData(0, 0, size, size).data
+
+    let gray = new Float32Array(size * size)
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+    }
+    return gray
+}
+
+/**
+ * Returns the offset from the middle sample to the top of the parabola through three samples, between -0.5 and 0.5.
+ * @param {number} before
+ * @param {number} middle
+ * @param {number} after
+ */
+function parabolaPeak(before, middle, after) {
+    let curvature = before - 2 * middle + after
+    if (curvature >= 0) return 0
+    return Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)))
+}
+
+/**
+ * Finds the strongest corner, or if there is none, the strongest edge near a point in the image.
+ * Closer features are preferred over stronger ones further away.
+ * @param {CanvasImageSource} image
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius - How far from the point to look, in image pixels.
+ * @returns {number[]|null} The position of the feature, or null if there is nothing to snap to.
+ */
+function findSnapPoint(image, x, y, radius) {
+    radius = Math.round(radius)
+    let margin = tensorRadius + 2
+    let size = 2 * (radius + margin) + 1
+
+    let left = Math.floor(x) - radius - margin
+    let top = Math.floor(y) - radius - margin
+    let gray = getGrayPatch(image, left, top, size)
+    let at = (array, px, py) => array[py * size + px]
+
+    // Sobel gradients
+    let gx = new Float32Array(size * size)
+    let gy = new Float32Array(size * size)
+    let magnitude = new Float32Array(size * size)
+    for (let py = 1; py < size - 1; py++) {
+        for (let px = 1; px < size - 1; px++) {
+            let i = py * size + px
+            gx[i] = (at(gray, px + 1, py - 1) + 2 * at(gray, px + 1, py) + at(gray, px + 1, py + 1)
+                - at(gray, px - 1, py - 1) - 2 * at(gray, px - 1, py) - at(gray, px - 1, py + 1)) / 8
+            gy[i] = (at(gray, px - 1, py + 1) + 2 * at(gray, px, py + 1) + at(gray, px + 1, py + 1)
+                - at(gray, px - 1, py - 1) - 2 * at(gray, px, py - 1) - at(gray, px + 1, py - 1)) / 8
+            magnitude[i] = Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i])
+        }
+    }
+
+    // Smallest eigenvalue of the structure tensor, and whether the corner is clear enough
+    let cornerness = new Float32Array(size * size)
+    for (let py = margin - 1; py <= size - margin; py++) {
+        for (let px = margin - 1; px <= size - margin; px++) {
+            let sxx = 0
+            let syy = 0
+            let sxy = 0
+            for (let dy = -tensorRadius; dy <= tensorRadius; dy++) {
+                for (let dx = -tensorRadius; dx <= tensorRadius; dx++) {
+                    let i = (py + dy) * size + px + dx
+                    sxx += gx[i] * gx[i]
+                    syy += gy[i] * gy[i]
+                    sxy += gx[i] * gy[i]
+                }
+            }
+            let mean = (sxx + syy) / 2
+            let spread = Math.sqrt(Math.pow((sxx - syy) / 2, 2) + sxy * sxy)
+            let smallest = mean - spread
+            let largest = mean + spread
+
+            if (smallest > minCornerStrength && smallest > minCornerRatio * largest) {
+                cornerness[py * size + px] = smallest
+            }
+        }
+    }
+
+    // Distance from the point, relative to the search radius
+    let center = radius + margin
+    let weight = (px, py) => 1 - Math.sqrt(Math.pow(px - center, 2) + Math.pow(py - center, 2)) / (radius + 1)
+
+    function best(array) {
+        let bestScore = 0
+        let bestPosition = null
+        for (let py = margin; py < size - margin; py++) {
+            for (let px = margin; px < size - margin; px++) {
+                let score = at(array, px, py) * weight(px, py)
+                if (score > bestScore) {
+                    bestScore = score
+                    bestPosition = [px, py]
+                }
+            }
+        }
+        return bestPosition
+    }
+
+    let corner = best(cornerness)
+    if (corner) {
+        let [px, py] = refineCorner(gx, gy, size, corner)
+        return [left + px + 0.5, top + py + 0.5]
+    }
+
+    let edge = best(magnitude.map(value => value > minEdgeStrength ? value : 0))
+    if (edge) {
+        // Find the top of the gradient across the edge
+        let [px, py] = edge
+        let i = py * size + px
+        let direction = [gx[i] / magnitude[i], gy[i] / magnitude[i]]
+
+        let sample = offset => bilinear(magnitude, size, px + direction[0] * offset, py + direction[1] * offset)
+        let t = parabolaPeak(sample(-1), magnitude[i], sample(1))
+        return [left + px + 0.5 + direction[0] * t, top + py + 0.5 + direction[1] * t]
+    }
+
+    return null
+}
+
+/**
+ * Moves a corner to the point that the gradients around it are perpendicular to the direction to,
+ * which is where the edges meet. This is solved with least squares, and repeated with the window moved.
+ * @param {Float32Array} gx
+ * @param {Float32Array} gy
+ * @param {number} size
+ * @param {number[]} corner - The position in the patch, in whole pixels.
+ * @returns {number[]}
+ */
+function refineCorner(gx, gy, size, corner) {
+    let windowRadius = tensorRadius + 1
+    let position = corner
+
+    for (let iteration = 0; iteration < 5; iteration++) {
+        let cx = Math.round(position[0])
+        let cy = Math.round(position[1])
+
+        let tensor = [[0, 0], [0, 0]]
+        let vector = [0, 0]
+        for (let y = Math.max(1, cy - windowRadius); y <= Math.min(size - 2, cy + windowRadius); y++) {
+            for (let x = Math.max(1, cx - windowRadius); x <= Math.min(size - 2, cx + windowRadius); x++) {
+                let i = y * size + x
+                let xx = gx[i] * gx[i]
+                let xy = gx[i] * gy[i]
+                let yy = gy[i] * gy[i]
+
+                tensor[0][0] += xx
+                tensor[0][1] += xy
+                tensor[1][0] += xy
+                tensor[1][1] += yy
+                vector[0] += xx * x + xy * y
+                vector[1] += xy * x + yy * y
+            }
+        }
+
+        let next = new Matrix(tensor).inverse.transformVector(vector)
+        if (!isFinite(next[0]) || !isFinite(next[1]) || Math.hypot(next[0] - corner[0], next[1] - corner[1]) > windowRadius) break
+        position = next
+    }
+
+    return position
+}
+
+/**
+ * Samples a square array between its elements.
+ * @param {Float32Array} array
+ * @param {number} size
+ * @param {number} x
+ * @param {number} y
+ */
+function bilinear(array, size, x, y) {
+    let x0 = Math.floor(x)
+    let y0 = Math.floor(y)
+    let fx = x - x0
+    let fy = y - y0
+    let at = (px, py) => array[py * size + px]
+
+    return at(x0, y0) * (1 - fx) * (1 - fy) + at(x0 + 1, y0) * fx * (1 - fy)
+        + at(x0, y0 + 1) * (1 - fx) * fy + at(x0 + 1, y0 + 1) * fx * fy
+}
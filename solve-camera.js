@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * @file Solving cameras from JSON files on the command line, without the page, for scripts and render farms.
+ *
+ * Usage:
+ *     node solve-camera.js [--format json|text] <file or pattern>...
+ *
+ * Patterns can use * and ? within a folder, and ** for any number of folders, like "shots/**\/camera.json".
+ * Quote them, so that they are expanded here and not by the shell.
+ *
+ * Each file holds the input of solveCalibration, see calibration.js, with these differences:
+ * - imageSize: The width and height of the image in pixels.
+ * - Points are in pixels of the image, measured from its top left corner, instead of UV's.
+ * - axes: Like [" x", "-y"], but the space can be left out, as in ["x", "-y"].
+ * - mode: (optional) 2 by default.
+ * For example:
+ *     {
+ *         "imageSize": [6000, 4000],
+ *         "corners": [
+ *             [[2100, 1790], [3120, 1280], [2760, 2300]],
+ *             [[4080, 1370], [3330, 2060], [3510, 1190]]
+ *         ],
+ *         "axes": ["x", "y"],
+ *         "sensorSize": [36, 24],
+ *         "origin": [3000, 2000],
+ *         "distance": 5
+ *     }
+ *
+ * The focal length, field of view, location and rotation of each camera, and the command to set it up in
+ * Blender, are written as a JSON array with an object per file, or as text. Files that can't be solved get an
+ * error instead, and make the exit code 1.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import fs from "fs"
+import path from "path"
+import {solveCalibration, getBlenderCommand} from "./calibration.js"
+
+const usage = "Usage: node solve-camera.js [--format json|text] <file or pattern>..."
+
+/**
+ * Returns the files that match a pattern, sorted. A pattern without wildcards is returned as it is.
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+function expandPattern(pattern) {
+    let parts = pattern.replace(/\\/g, "/").split("/")
+    let firstWildcard = parts.findIndex(part => /[*?]/.test(part))
+    if (firstWildcard === -1) return [pattern]
+
+    let base = parts.slice(0, firstWildcard).join("/") || (pattern.startsWith("/") ? "/" : ".")
+    if (!fs.existsSync(base)) return []
+    let rest = parts.slice(firstWildcard).join("/")
+
+    let source = rest.replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, match => {
+        switch (match) {
+            case "**/": return "(?:.*/)?"
+            case "**": return ".*"
+            case "*": return "[^/]*"
+            case "?": return "[^/]"
+            default: return "\\" + match
+        }
+    })
+    let regex = new RegExp(`^${source}$`)
+
+    // Only look in the folders below the base if the pattern goes into them
+    let entries = fs.readdirSync(base, {recursive: rest.includes("/")})
+    return entries
+        .map(entry => entry.split(path.sep).join("/"))
+        .filter(entry => regex.test(entry) && fs.statSync(path.join(base, entry)).isFile())
+        .map(entry => base === "." ? entry : path.join(base, entry))
+        .sort()
+}
+
+/**
+ * Converts a point in pixels, measured from the top left corner of the image, to UV's.
+ * @param {number[]} point
+ * @param {number[]} imageSize The width and height of the image in pixels.
+ */
+function imagePixelsToUV(point, imageSize) {
+    let [width, height] = imageSize
+    let halfLongest = Math.max(width, height) / 2
+    return [(point[0] - width / 2) / halfLongest, (height / 2 - point[1]) / halfLongest]
+}
+
+/**
+ * Turns the contents of an input file into the input of solveCalibration.
+ * @param {object} file
+ */
+function getCalibrationInput(file) {
+    let missing = ["imageSize", "corners", "axes", "sensorSize"].filter(key => !file[key])
+    if (!file.origin && !file.originLines) missing.push("origin")
+    if (file.distance === undefined && !file.reference) missing.push("distance")
+    if (file.mode === 1 && !file.focalLength) missing.push("focalLength")
+    if (file.mode === 1 && !file.horizon) missing.push("horizon")
+    if (missing.length) throw new Error(`Missing ${missing.join(", ")}`)
+
+    let toUV = point => imagePixelsToUV(point, file.imageSize)
+    let lineToUV = line => line.map(toUV)
+
+    return {
+        ...file,
+        mode: file.mode || 2,
+        corners: file.corners.map(lineToUV),
+        lineSegments: (file.lineSegments || []).map(segment => ({axisIndex: segment.axisIndex, points: lineToUV(segment.points)})),
+        horizon: file.horizon && lineToUV(file.horizon),
+        straightLines: (file.straightLines || []).map(lineToUV),
+        principalPoint: file.principalPoint ? toUV(file.principalPoint) : null,
+        axes: file.axes.map(axis => axis.length === 1 ? ` ${axis}` : axis.replace("+", " ")),
+        origin: file.origin && toUV(file.origin),
+        originLines: file.originLines ? file.originLines.map(lineToUV) : null,
+        reference: file.reference ? {...file.reference, segment: lineToUV(file.reference.segment)} : null,
+        alignment: file.alignment ? {...file.alignment, line: lineToUV(file.alignment.line)} : null
+    }
+}
+
+/**
+ * Solves the camera of an input file.
+ * @param {string} filePath
+ */
+function solveFile(filePath) {
+    let input = getCalibrationInput(JSON.parse(fs.readFileSync(filePath, "utf8")))
+    let results = solveCalibration(input)
+    if (!results.cameraMatrix) throw new Error("The camera can't be solved from the points and axes")
+
+    return {
+        file: filePath,
+        focalLength: results.focalLength,
+        fov: results.fov,
+        principalPoint: results.principalPoint,
+        convention: input.convention || "blender",
+        location: results.targetLocation,
+        rotation: {order: input.rotationOrder || "XYZ", euler: results.eulerRotation},
+        quaternion: results.quaternion,
+        axisAngle: results.axisAngle,
+        blenderCommand: getBlenderCommand(results)
+    }
+}
+
+/**
+ * Returns the solved camera of a file as lines of text.
+ * @param {object} solved
+ */
+function formatText(solved) {
+    let numbers = list => list.map(x => Number(x.toFixed(6))).join(" ")
+
+    return [
+        solved.file,
+        `    Focal length: ${Number(solved.focalLength.toFixed(3))} mm`,
+        `    Field of view: ${Number(solved.fov.toFixed(3))}°`,
+        `    Location (${solved.convention}): ${numbers(solved.location)}`,
+        `    Rotation (${solved.rotation.order}): ${numbers(solved.rotation.euler)}`,
+        `    Quaternion (WXYZ): ${numbers(solved.quaternion)}`,
+        "    Blender command:",
+        ...solved.blenderCommand.trim().split("\n").map(line => `        ${line}`)
+    ].join("\n")
+}
+
+function main(args) {
+    let format = "json"
+    let patterns = []
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--help" || args[i] === "-h") {
+            console.log(usage)
+            return 0
+        } else if (args[i] === "--format") {
+            format = args[++i]
+        } else if (args[i].startsWith("--format=")) {
+            format = args[i].slice("--format=".length)
+        } else {
+            patterns.push(args[i])
+        }
+    }
+
+    if (!["json", "text"].includes(format) || patterns.length === 0) {
+        console.error(usage)
+        return 2
+    }
+
+    let files = []
+    let failed = false
+    patterns.forEach(pattern => {
+        let matches = expandPattern(pattern)
+        if (matches.length === 0) {
+            console.error(`No files match ${pattern}`)
+            failed = true
+        }
+        matches.forEach(file => files.includes(file) || files.push(file))
+    })
+
+    let solved = files.map(file => {
+        try {
+            return solveFile(file)
+        } catch (error) {
+            failed = true
+            return {file: file, error: error.message}
+        }
+    })
+
+    if (format === "json") {
+        console.log(JSON.stringify(solved, null, 4))
+    } else {
+        solved.forEach(result => {
+            if (result.error) {
+                console.error(`${result.file}: ${result.error}`)
+            } else {
+                console.log(formatText(result) + "\n")
+            }
+        })
+    }
+
+    return failed ? 1 : 0
+}
+
+process.exitCode = main(process.argv.slice(2))
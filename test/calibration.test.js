@@ -0,0 +1,144 @@
+/**
+ * @file Tests of the solver, with photos of a known camera that are made by projecting points in the world.
+ *
+ * Run with: npm test
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import test from "node:test"
+import assert from "node:assert/strict"
+import {Matrix, Vector} from "../linear-algebra.js"
+import {matrixFromEuler} from "../rotation.js"
+import {solveCalibration} from "../calibration.js"
+import {worldConventions} from "../conventions.js"
+
+const sensorSize = [36, 24]
+const focalLength = 28
+
+// Rotations are in degrees, in the order XYZ
+const camera = {location: [6, -5, 3], rotation: [68, 4, 52], principalPoint: [0, 0]}
+
+/**
+ * Returns the UV's of a point in the world, in the photo of a camera.
+ * @param {number[]} point
+ * @param {object} camera
+ */
+function project(point, camera) {
+    let cameraToWorld = matrixFromEuler(camera.rotation.map(angle => angle / 180 * Math.PI), "XYZ")
+    // Camera space is x right and y up, and the camera looks down -z
+    let [x, y, z] = cameraToWorld.transpose.transformVector(Vector.subtraction(point, camera.location))
+    let focalDistance = focalLength / Math.max(...sensorSize) * 2
+    return [x / -z * focalDistance + camera.principalPoint[0], y / -z * focalDistance + camera.principalPoint[1]]
+}
+
+/**
+ * Returns the input of the solver for a photo of two boxes.
+ * @param {number} mode
+ * @param {object} [photoCamera]
+ */
+function getInput(mode, photoCamera=camera) {
+    // The corner of a box, with its edges along the world axes
+    let projectCorner = center => [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1]].map(offset => {
+        return project(Vector.addition(center, offset), photoCamera)
+    })
+
+    return {
+        mode: mode,
+        corners: [projectCorner([0, 0, 0]), projectCorner([-1.5, 2, 0.5])],
+        // The axes point towards their vanishing points, and +x comes towards the camera
+        axes: ["-x", " y"],
+        sensorSize: sensorSize,
+        origin: project([0, 0, 0], photoCamera),
+        distance: Math.hypot(...photoCamera.location)
+    }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    [].concat(expected).forEach((value, i) => {
+        let difference = Math.abs([].concat(actual)[i] - value)
+        assert.ok(difference < tolerance, `${message}: ${actual} instead of ${expected}`)
+    })
+}
+
+test("solves a camera from two vanishing points", () => {
+    let results = solveCalibration(getInput(2))
+
+    assertClose(results.focalLength, focalLength, 1e-6, "focal length")
+    assertClose(results.principalPoint, [0, 0], 1e-9, "principal point")
+    assertClose(results.targetLocation, camera.location, 1e-6, "location")
+    assertClose(results.eulerRotation, camera.rotation, 1e-6, "rotation")
+})
+
+test("solves a camera and its principal point from three vanishing points", () => {
+    let shifted = {...camera, principalPoint: [0.04, -0.03]}
+    let results = solveCalibration(getInput(3, shifted))
+
+    assertClose(results.focalLength, focalLength, 1e-6, "focal length")
+    assertClose(results.principalPoint, shifted.principalPoint, 1e-6, "principal point")
+    assertClose(results.targetLocation, camera.location, 1e-6, "location")
+    assertClose(results.eulerRotation, camera.rotation, 1e-6, "rotation")
+})
+
+test("finds the distance from a reference segment", () => {
+    let input = getInput(2)
+    delete input.distance
+    input.reference = {axis: "x", length: 2, segment: [project([0, 0, 0], camera), project([2, 0, 0], camera)]}
+
+    let results = solveCalibration(input)
+    assertClose(results.distance, Math.hypot(...camera.location), 1e-6, "distance")
+    assertClose(results.targetLocation, camera.location, 1e-6, "location")
+})
+
+test("solves a camera that looks straight at its only vanishing point", () => {
+    // Level, looking down the Y axis from the side of a corridor
+    let corridor = {location: [1, -8, 1.6], rotation: [90, 0, 0], principalPoint: [0, 0]}
+    let input = getInput(1, corridor)
+    // Lines along the corridor, on the floor and on a wall
+    input.corners = [[[0, 0, 0], [0, 1, 0]], [[-2, 3, 1], [-2, 4, 1]]].map(line => line.map(point => project(point, corridor)))
+    input.axes = [" y", " x"]
+    input.focalLength = focalLength
+    input.horizon = [project([-3, 20, 1.6], corridor), project([3, 20, 1.6], corridor)]
+
+    let results = solveCalibration(input)
+    assertClose(results.vanishingPoints[0], [0, 0], 1e-9, "first vanishing point")
+    assertClose(results.targetLocation, corridor.location, 1e-6, "location")
+    assertClose(results.eulerRotation, corridor.rotation, 1e-6, "rotation")
+})
+
+test("has no camera when both axes are the same", () => {
+    let input = getInput(2)
+    input.axes = ["-x", " x"]
+
+    assert.equal(solveCalibration(input).cameraMatrix, undefined)
+})
+
+test("shows the rotation as the angles of an Unreal rotator", () => {
+    let results = solveCalibration({...getInput(2), convention: "unreal"})
+    let [roll, pitch, yaw] = results.eulerRotation.map(angle => angle / 180 * Math.PI)
+
+    // The rows of Unreal's FRotationMatrix are the forward, right and up directions of the rotator
+    let [sr, cr, sp, cp, sy, cy] = [roll, pitch, yaw].flatMap(angle => [Math.sin(angle), Math.cos(angle)])
+    let rotator = [
+        [cp * cy, cp * sy, sp],
+        [sr * sp * cy - cr * sy, sr * sp * sy + cr * cy, -sr * cp],
+        [-(cr * sp * cy + sr * sy), cy * sr - cr * sp * sy, cr * cp]
+    ]
+
+    // The camera looks down -Z with Y up and X to the right, in Blender's world
+    let cameraAxis = i => [0, 1, 2].map(row => results.cameraMatrix.matrix[row][i])
+    let toUnreal = vector => new Matrix(worldConventions.unreal.axes).transformVector(vector)
+    let expected = [Vector.scalarMultiplication(cameraAxis(2), -1), cameraAxis(0), cameraAxis(1)].map(toUnreal)
+
+    rotator.forEach((direction, i) => assertClose(direction, expected[i], 1e-9, ["forward", "right", "up"][i]))
+})
+
+test("shows the location in each world convention", () => {
+    let expected = {blender: [6, -5, 3], yUp: [6, 3, 5], unity: [-6, 3, 5], unreal: [600, 500, 300]}
+
+    Object.keys(expected).forEach(convention => {
+        let results = solveCalibration({...getInput(2), convention: convention})
+        assertClose(results.targetLocation, expected[convention], 1e-4, convention)
+    })
+})
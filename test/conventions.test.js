@@ -0,0 +1,53 @@
+/**
+ * @file Tests of converting cameras and points from Blender's convention to the other world conventions.
+ *
+ * Run with: npm test
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import test from "node:test"
+import assert from "node:assert/strict"
+import {Matrix} from "../linear-algebra.js"
+import {matrixFromEuler} from "../rotation.js"
+import {worldConventions, convertPoint, convertPlane, convertCameraMatrix} from "../conventions.js"
+
+function assertClose(actual, expected, tolerance, message) {
+    [].concat(expected).forEach((value, i) => {
+        let difference = Math.abs([].concat(actual)[i] - value)
+        assert.ok(difference < tolerance, `${message}: ${actual} instead of ${expected}`)
+    })
+}
+
+// A camera at [1, 2, 3] in Blender's world, looking along +Y with +Z up
+const blenderCamera = (() => {
+    let rotation = matrixFromEuler([Math.PI / 2, 0, 0], "XYZ").matrix
+    let location = [1, 2, 3]
+    return new Matrix(rotation.map((row, i) => row.concat(location[i])).concat([[0, 0, 0, 1]]))
+})()
+
+// The same camera and the plane of the ground in each convention, and the directions its cameras look and have up
+const expected = {
+    blender: {location: [1, 2, 3], forward: [0, 1, 0], up: [0, 0, 1], ground: "xy", look: [0, 0, -1], cameraUp: [0, 1, 0]},
+    yUp: {location: [1, 3, -2], forward: [0, 0, -1], up: [0, 1, 0], ground: "xz", look: [0, 0, -1], cameraUp: [0, 1, 0]},
+    unity: {location: [-1, 3, -2], forward: [0, 0, -1], up: [0, 1, 0], ground: "xz", look: [0, 0, 1], cameraUp: [0, 1, 0]},
+    unreal: {location: [100, -200, 300], forward: [0, -1, 0], up: [0, 0, 1], ground: "xy", look: [1, 0, 0], cameraUp: [0, 0, 1]}
+}
+
+Object.keys(worldConventions).forEach(name => {
+    let convention = worldConventions[name]
+
+    test(`converts a camera to the ${name} convention`, () => {
+        let converted = convertCameraMatrix(blenderCamera, convention)
+
+        assertClose([0, 1, 2].map(i => converted.matrix[i][3]), expected[name].location, 1e-9, "location")
+        assertClose(converted.transformVector(expected[name].look.concat(0)).slice(0, 3), expected[name].forward, 1e-9, "forward")
+        assertClose(converted.transformVector(expected[name].cameraUp.concat(0)).slice(0, 3), expected[name].up, 1e-9, "up")
+    })
+
+    test(`converts points and planes to the ${name} convention`, () => {
+        assertClose(convertPoint([1, 2, 3], convention), expected[name].location, 1e-9, "point")
+        assert.equal(convertPlane("xy", convention), expected[name].ground)
+    })
+})
@@ -0,0 +1,55 @@
+/**
+ * @file Tests of finding the lens distortion from lines that are straight in the world.
+ *
+ * Run with: npm test
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import test from "node:test"
+import assert from "node:assert/strict"
+import {Distortion} from "../lens-distortion.js"
+
+function assertClose(actual, expected, tolerance, message) {
+    [].concat(expected).forEach((value, i) => {
+        let difference = Math.abs([].concat(actual)[i] - value)
+        assert.ok(difference < tolerance, `${message}: ${actual} instead of ${expected}`)
+    })
+}
+
+/**
+ * Returns points along straight lines across the image, as a lens with the distortion would show them.
+ * @param {Distortion} distortion
+ */
+function getBentLines(distortion) {
+    let lines = [
+        [[-0.9, 0.5], [0.9, 0.6]],
+        [[-0.8, -0.55], [0.9, -0.4]],
+        [[-0.6, -0.6], [-0.5, 0.6]],
+        [[0.7, 0.6], [0.55, -0.6]]
+    ]
+
+    return lines.map(([start, end]) => {
+        return [0, 0.25, 0.5, 0.75, 1].map(t => distortion.distort([0, 1].map(i => start[i] + (end[i] - start[i]) * t)))
+    })
+}
+
+test("undoes the distortion of a point", () => {
+    let distortion = new Distortion(-0.1, 0.03)
+    let point = [0.6, -0.45]
+
+    assertClose(distortion.undistort(distortion.distort(point)), point, 1e-9, "point")
+})
+
+test("finds the distortion that bent straight lines", () => {
+    let distortion = Distortion.estimate(getBentLines(new Distortion(-0.08, 0.02)))
+
+    assertClose([distortion.k1, distortion.k2], [-0.08, 0.02], 1e-6, "k1 and k2")
+})
+
+test("finds no distortion from straight lines", () => {
+    let distortion = Distortion.estimate(getBentLines(new Distortion()))
+
+    assertClose([distortion.k1, distortion.k2], [0, 0], 1e-6, "k1 and k2")
+})
@@ -0,0 +1,90 @@
+/**
+ * @file Tests of Euler angles, quaternions and axis-angle, for every rotation order.
+ *
+ * Run with: npm test
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+import test from "node:test"
+import assert from "node:assert/strict"
+import {Matrix} from "../linear-algebra.js"
+import {rotationOrders, matrixFromEuler, eulerFromMatrix, alternativeEuler, quaternionFromMatrix, axisAngleFromMatrix} from "../rotation.js"
+
+const toRadians = angles => angles.map(angle => angle / 180 * Math.PI)
+const toDegrees = angles => angles.map(angle => angle / Math.PI * 180)
+
+function assertClose(actual, expected, tolerance, message) {
+    [].concat(expected).forEach((value, i) => {
+        let difference = Math.abs([].concat(actual)[i] - value)
+        assert.ok(difference < tolerance, `${message}: ${actual} instead of ${expected}`)
+    })
+}
+
+function assertSameMatrix(actual, expected, message) {
+    actual.matrix.forEach((row, i) => assertClose(row, expected.matrix[i], 1e-9, message))
+}
+
+/**
+ * Returns the angles with the middle one of the order set, and the others as given.
+ * @param {string} order
+ * @param {number[]} angles The first, middle and last angle, in the order they are applied.
+ */
+function anglesInOrder(order, angles) {
+    let byAxis = []
+    order.split("").forEach((axis, i) => byAxis["XYZ".indexOf(axis)] = angles[i])
+    return byAxis
+}
+
+rotationOrders.forEach(order => {
+    test(`finds the Euler angles of a matrix in the order ${order}`, () => {
+        [[30, -50, 120], [-170, 80, -15], [0, 0, 0], [179, -89, 1]].forEach(angles => {
+            let expected = anglesInOrder(order, angles)
+            let matrix = matrixFromEuler(toRadians(expected), order)
+
+            assertClose(toDegrees(eulerFromMatrix(matrix, order)), expected, 1e-9, `angles of ${expected}`)
+            assertSameMatrix(matrixFromEuler(toRadians(alternativeEuler(expected, order)), order), matrix, `alternative of ${expected}`)
+        })
+    })
+
+    test(`finds a rotation in gimbal lock in the order ${order}`, () => {
+        [90, -90].forEach(middle => {
+            let angles = anglesInOrder(order, [40, middle, 25])
+            let matrix = matrixFromEuler(toRadians(angles), order)
+            let found = toDegrees(eulerFromMatrix(matrix, order))
+
+            // The first and last rotations are about the same axis, so only the middle and the last angle are known
+            assertClose(found["XYZ".indexOf(order[1])], middle, 1e-6, "middle angle")
+            assertClose(found["XYZ".indexOf(order[2])], 0, 1e-9, "last angle")
+            assertSameMatrix(matrixFromEuler(toRadians(found), order), matrix, `rotation of ${angles}`)
+        })
+    })
+})
+
+test("applies the first rotation of an order first", () => {
+    // 90 degrees about X and then about Z turns Y into Z, and X into Y
+    let matrix = matrixFromEuler(toRadians([90, 0, 90]), "XYZ")
+    assertClose(matrix.transformVector([0, 1, 0]), [0, 0, 1], 1e-12, "Y")
+    assertClose(matrix.transformVector([1, 0, 0]), [0, 1, 0], 1e-12, "X")
+})
+
+test("finds the quaternion and axis-angle of a matrix", () => {
+    let axis = [2, -1, 3].map(x => x / Math.hypot(2, -1, 3))
+    let angle = 2.5
+
+    // Rodrigues' rotation formula, I + sin * K + (1 - cos) * K^2
+    let [x, y, z] = axis
+    let cross = new Matrix([[0, -z, y], [z, 0, -x], [-y, x, 0]])
+    let crossSquared = Matrix.multiplication(cross, cross)
+    let matrix = new Matrix([0, 1, 2].map(i => [0, 1, 2].map(j => {
+        return (i === j ? 1 : 0) + Math.sin(angle) * cross.matrix[i][j] + (1 - Math.cos(angle)) * crossSquared.matrix[i][j]
+    })))
+
+    let quaternion = quaternionFromMatrix(matrix)
+    assertClose(quaternion, [Math.cos(angle / 2), ...axis.map(x => x * Math.sin(angle / 2))], 1e-9, "quaternion")
+
+    let axisAngle = axisAngleFromMatrix(matrix)
+    assertClose(axisAngle.axis, axis, 1e-9, "axis")
+    assertClose(axisAngle.angle, angle, 1e-9, "angle")
+})
@@ -0,0 +1,80 @@
+/**
+ * @file Placing the origin and turning the world axes, to match the layout of an existing scene.
+ *
+ * The origin is either a point of its own, or where two guide lines cross, like the corner of a room
+ * that is hidden behind furniture. The axes from the vanishing points can then be turned around the
+ * Z (up) axis, either so that the X or Y axis follows a line drawn on the ground, or by a fixed angle,
+ * or both, in which case the angle is added after the alignment. The turn is applied after the scale
+ * is found, so the reference segment stays along the axes from the vanishing points.
+ * This file has the points and inputs, and the intersection and the turn are found in calibration.js.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// Two lines whose intersection is the origin, used when the origin mode is "intersection"
+let originLines = [
+    [[-0.30, -0.35], [-0.05, -0.15]],
+    [[0.30, -0.35], [0.05, -0.15]]
+]
+
+// A line on the ground (the XY plane) that the X or Y axis is turned to follow
+let alignmentLine = [[-0.15, -0.45], [0.15, -0.45]]
+
+const guideLineColor = "#cccccc"
+
+function getOriginMode() {
+    return document.getElementById("origin-mode").value
+}
+
+/**
+ * Returns the axis that is aligned to the alignment line, "x" or "y", or an empty string if none is.
+ */
+function getAlignmentAxis() {
+    return document.getElementById("align-axis").value
+}
+
+/**
+ * Returns the points of the guide lines and the alignment line that are in use.
+ */
+function getWorldFramePoints() {
+    let points = []
+    if (getOriginMode() === "intersection") points = points.concat(...originLines)
+    if (getAlignmentAxis()) points = points.concat(alignmentLine)
+    return points
+}
+
+function drawWorldFrameGuides() {
+    if (getOriginMode() === "intersection") {
+        let originPx = UVToPixelsAbsolute(...toView(calcResults.origin))
+
+        originLines.forEach(line => {
+            let [start, end] = line.map(toView)
+            let [startPx, endPx] = [start, end].map(point => UVToPixelsAbsolute(...point))
+
+            // Continue the line to the origin
+            ctx.setLineDash([6, 4])
+            ctx.strokeStyle = guideLineColor
+            ctx.lineWidth = 1
+            ctx.beginPath()
+            ctx.moveTo(...startPx)
+            ctx.lineTo(...originPx)
+            ctx.stroke()
+            ctx.setLineDash([])
+
+            drawLineUV(...start, ...end, guideLineColor, 1.5)
+            drawCircle(...startPx, pointRadius, guideLineColor)
+            drawCircle(...endPx, pointRadius, guideLineColor)
+        })
+    }
+
+    let axis = getAlignmentAxis()
+    if (axis) {
+        let color = axisColors[axis]
+        let [start, end] = alignmentLine.map(toView)
+
+        drawLineUV(...start, ...end, color, 3)
+        drawCircle(...UVToPixelsAbsolute(...start), pointRadius, "#ffffff", color, 1.5)
+        drawCircle(...UVToPixelsAbsolute(...end), pointRadius, "#ffffff", color, 1.5)
+    }
+}